@@ -0,0 +1,134 @@
+const User = require('../models/User');
+const Geo = require('../utils/geo');
+
+// List the current user's delivery addresses
+exports.listAddresses = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('addresses');
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    return res.json({
+      success: true,
+      count: user.addresses.length,
+      data: user.addresses
+    });
+  } catch (error) {
+    console.error('Error fetching addresses:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching addresses'
+    });
+  }
+};
+
+// Add a delivery address. Coordinates are optional but needed for
+// group buys limited to a delivery radius.
+exports.addAddress = async (req, res) => {
+  try {
+    const { label, line1, line2, city, postcode, country, longitude, latitude, isDefault } = req.body;
+    const coordinates = [Number(longitude), Number(latitude)];
+    const hasLocation = longitude !== undefined && latitude !== undefined;
+
+    if (hasLocation && !Geo.isValidCoordinates(coordinates)) {
+      return res.status(400).json({ success: false, error: 'Invalid longitude or latitude' });
+    }
+
+    const user = await User.findById(req.user.id).select('addresses');
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const makeDefault = Boolean(isDefault) || user.addresses.length === 0;
+    if (makeDefault) {
+      user.addresses.forEach(address => { address.isDefault = false; });
+    }
+
+    user.addresses.push({
+      label,
+      line1,
+      line2,
+      city,
+      postcode,
+      country,
+      location: hasLocation ? { type: 'Point', coordinates } : undefined,
+      isDefault: makeDefault
+    });
+
+    await user.save();
+
+    return res.status(201).json({
+      success: true,
+      data: user.addresses[user.addresses.length - 1]
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid address',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    console.error('Error adding address:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error adding address'
+    });
+  }
+};
+
+// Make an address the default for deliveries
+exports.setDefaultAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('addresses');
+    const address = user && user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({ success: false, error: 'Address not found' });
+    }
+
+    user.addresses.forEach(candidate => {
+      candidate.isDefault = candidate._id.equals(address._id);
+    });
+    await user.save();
+
+    return res.json({ success: true, data: address });
+  } catch (error) {
+    console.error('Error updating address:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error updating address'
+    });
+  }
+};
+
+// Remove a delivery address
+exports.removeAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('addresses');
+    const address = user && user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({ success: false, error: 'Address not found' });
+    }
+
+    const wasDefault = address.isDefault;
+    user.addresses.pull(address._id);
+    if (wasDefault && user.addresses.length > 0) {
+      user.addresses[0].isDefault = true;
+    }
+    await user.save();
+
+    return res.json({ success: true, data: user.addresses });
+  } catch (error) {
+    console.error('Error removing address:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error removing address'
+    });
+  }
+};
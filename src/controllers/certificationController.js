@@ -0,0 +1,118 @@
+const CertificationService = require('../services/certificationService');
+
+const isAdmin = req => req.user && req.user.role === 'admin';
+
+const forbidden = res => res.status(403).json({
+  success: false,
+  error: 'Admin access required'
+});
+
+// Map service errors to HTTP responses
+const handleError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid certification',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  if (/not found/.test(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+
+  if (/^Not authorized/.test(error.message)) {
+    return res.status(403).json({ success: false, error: error.message });
+  }
+
+  if (/^(Unknown certification scheme|Cannot |This certificate)/.test(error.message)) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({ success: false, error: `Server error ${action}` });
+};
+
+// Register a certificate for a product
+exports.submitCertification = async (req, res) => {
+  try {
+    const certification = await CertificationService.submitCertification(
+      req.params.productId,
+      req.user.id,
+      req.body,
+      { isAdmin: isAdmin(req) }
+    );
+
+    return res.status(201).json({ success: true, data: certification });
+  } catch (error) {
+    return handleError(res, error, 'submitting certification');
+  }
+};
+
+// List a product's certifications and their status
+exports.getProductCertifications = async (req, res) => {
+  try {
+    const certifications = await CertificationService.getProductCertifications(req.params.productId);
+
+    return res.json({
+      success: true,
+      count: certifications.length,
+      data: certifications
+    });
+  } catch (error) {
+    return handleError(res, error, 'fetching certifications');
+  }
+};
+
+// List certifications awaiting review
+exports.getPendingCertifications = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const certifications = await CertificationService.getPendingCertifications();
+
+    return res.json({
+      success: true,
+      count: certifications.length,
+      data: certifications
+    });
+  } catch (error) {
+    return handleError(res, error, 'fetching pending certifications');
+  }
+};
+
+// Approve or reject a certification
+exports.reviewCertification = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const { approve, notes } = req.body;
+
+    const certification = await CertificationService.reviewCertification(
+      req.params.certificationId,
+      req.user.id,
+      { approve: Boolean(approve), notes }
+    );
+
+    return res.json({ success: true, data: certification });
+  } catch (error) {
+    return handleError(res, error, 'reviewing certification');
+  }
+};
+
+// Revoke an approved certification
+exports.revokeCertification = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const certification = await CertificationService.revokeCertification(
+      req.params.certificationId,
+      req.user.id,
+      req.body.notes
+    );
+
+    return res.json({ success: true, data: certification });
+  } catch (error) {
+    return handleError(res, error, 'revoking certification');
+  }
+};
\ No newline at end of file
@@ -0,0 +1,108 @@
+const EmissionFactorService = require('../services/emissionFactorService');
+
+const isAdmin = req => req.user && req.user.role === 'admin';
+
+// Bulk import emission factors from CSV text or a JSON array
+exports.importFactors = async (req, res) => {
+  if (!isAdmin(req)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  try {
+    const { format = 'json', data, source, dryRun } = req.body;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format must be "json" or "csv"'
+      });
+    }
+
+    const result = await EmissionFactorService.importFactors(data, {
+      format,
+      source,
+      dryRun: Boolean(dryRun),
+      userId: req.user.id
+    });
+
+    return res.status(result.valid ? 200 : 422).json({
+      success: result.valid,
+      data: result
+    });
+  } catch (error) {
+    if (/^(No emission factor rows|CSV )/.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error importing emission factors:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error importing emission factors'
+    });
+  }
+};
+
+// Look up the factor that applies to an activity
+exports.lookupFactor = async (req, res) => {
+  try {
+    const { activity, unit, region, date, source } = req.query;
+
+    if (!activity || !unit) {
+      return res.status(400).json({
+        success: false,
+        error: 'activity and unit are required'
+      });
+    }
+
+    await EmissionFactorService.ensureLoaded();
+    const factor = EmissionFactorService.getFactor(activity, unit, {
+      region,
+      date: date ? new Date(date) : new Date(),
+      source
+    });
+
+    if (!factor) {
+      return res.status(404).json({
+        success: false,
+        error: 'No emission factor found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: factor
+    });
+  } catch (error) {
+    console.error('Error looking up emission factor:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error looking up emission factor'
+    });
+  }
+};
+
+// List stored emission factors
+exports.listFactors = async (req, res) => {
+  try {
+    const { activity, region, source } = req.query;
+    const factors = await EmissionFactorService.listFactors({ activity, region, source });
+
+    return res.json({
+      success: true,
+      count: factors.length,
+      data: factors
+    });
+  } catch (error) {
+    console.error('Error listing emission factors:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error listing emission factors'
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+const ExperimentService = require('../services/experimentService');
+
+const isAdmin = req => req.user && req.user.role === 'admin';
+
+const forbidden = res => res.status(403).json({
+  success: false,
+  error: 'Admin access required'
+});
+
+// Map service errors to HTTP responses
+const handleError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid experiment',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  if (/not found/.test(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+
+  if (/^(Invalid |Unknown experiment surface|Cannot |Experiment ".*" already exists)/.test(error.message)) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({ success: false, error: `Server error ${action}` });
+};
+
+// Define a new experiment (starts as a draft)
+exports.createExperiment = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const experiment = await ExperimentService.createExperiment(req.body, req.user.id);
+
+    return res.status(201).json({ success: true, data: experiment });
+  } catch (error) {
+    return handleError(res, error, 'creating experiment');
+  }
+};
+
+// List experiments, optionally by status
+exports.listExperiments = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const experiments = await ExperimentService.listExperiments({ status: req.query.status || null });
+
+    return res.json({
+      success: true,
+      count: experiments.length,
+      data: experiments
+    });
+  } catch (error) {
+    return handleError(res, error, 'fetching experiments');
+  }
+};
+
+// Start, pause or complete an experiment
+exports.updateExperimentStatus = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const experiment = await ExperimentService.setStatus(req.params.experimentId, req.body.status);
+
+    return res.json({ success: true, data: experiment });
+  } catch (error) {
+    return handleError(res, error, 'updating experiment status');
+  }
+};
+
+// Conversion and carbon saved per variant
+exports.getExperimentResults = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const results = await ExperimentService.getResults(req.params.experimentId);
+
+    return res.json({ success: true, data: results });
+  } catch (error) {
+    return handleError(res, error, 'fetching experiment results');
+  }
+};
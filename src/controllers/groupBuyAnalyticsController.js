@@ -0,0 +1,77 @@
+const Product = require('../models/Product');
+const GroupBuyAnalyticsService = require('../services/groupBuyAnalyticsService');
+
+// Only the product's seller or an admin may see its analytics
+const canViewAnalytics = async (req, productId) => {
+  if (req.user && req.user.role === 'admin') return true;
+
+  const product = await Product.findById(productId).select('seller');
+  return Boolean(product && product.seller && product.seller.toString() === req.user.id.toString());
+};
+
+const parseSince = value => {
+  if (!value) return null;
+  const since = new Date(value);
+  return isNaN(since.getTime()) ? undefined : since;
+};
+
+// Group buy performance for a product, per configuration
+exports.getProductGroupBuyAnalytics = async (req, res) => {
+  try {
+    const since = parseSince(req.query.since);
+
+    if (since === undefined) {
+      return res.status(400).json({ success: false, error: 'Invalid since date' });
+    }
+
+    if (!(await canViewAnalytics(req, req.params.productId))) {
+      return res.status(403).json({ success: false, error: 'Not authorized to view these analytics' });
+    }
+
+    const analytics = await GroupBuyAnalyticsService.getProductAnalytics(req.params.productId, { since });
+
+    return res.json({ success: true, data: analytics });
+  } catch (error) {
+    if (error.message === 'Product not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    console.error('Error fetching group buy analytics:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching group buy analytics'
+    });
+  }
+};
+
+// Threshold / expiry combination that historically completed most often
+exports.getGroupBuyConfigurationRecommendation = async (req, res) => {
+  try {
+    const since = parseSince(req.query.since);
+
+    if (since === undefined) {
+      return res.status(400).json({ success: false, error: 'Invalid since date' });
+    }
+
+    if (!(await canViewAnalytics(req, req.params.productId))) {
+      return res.status(403).json({ success: false, error: 'Not authorized to view these analytics' });
+    }
+
+    const recommendation = await GroupBuyAnalyticsService.recommendConfiguration(req.params.productId, {
+      minSamples: Math.max(parseInt(req.query.minSamples, 10) || 3, 1),
+      since
+    });
+
+    return res.json({ success: true, data: recommendation });
+  } catch (error) {
+    if (error.message === 'Product not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    console.error('Error recommending group buy configuration:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error recommending group buy configuration'
+    });
+  }
+};
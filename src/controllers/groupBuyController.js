@@ -0,0 +1,217 @@
+const GroupBuyingService = require('../services/groupBuyingService');
+const Geo = require('../utils/geo');
+
+const isAdmin = req => req.user && req.user.role === 'admin';
+
+// Map service errors to HTTP responses
+const handleError = (res, error, action) => {
+  if (/not found/.test(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+
+  if (/^(Invalid sort|Invalid cursor)/.test(error.message)) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (/^Payment declined/.test(error.message)) {
+    return res.status(402).json({ success: false, error: error.message });
+  }
+
+  if (/^Only (the initiator|participants)/.test(error.message)) {
+    return res.status(403).json({ success: false, error: error.message });
+  }
+
+  if (/^(Cannot |You are not|Your delivery|A delivery|This group buy|This invite|Not enough stock|Group buying is not|Payment method)/.test(error.message)) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({ success: false, error: `Server error ${action}` });
+};
+
+// Browse open group buys, e.g. those near completion or near the user
+exports.discoverGroupBuys = async (req, res) => {
+  try {
+    const { category, sort, cursor, longitude, latitude } = req.query;
+    const toNumber = value => (value !== undefined && value !== '' ? Number(value) : null);
+
+    let near = null;
+    if (longitude !== undefined || latitude !== undefined) {
+      const coordinates = [Number(longitude), Number(latitude)];
+
+      if (!Geo.isValidCoordinates(coordinates)) {
+        return res.status(400).json({ success: false, error: 'Invalid longitude or latitude' });
+      }
+      near = { coordinates, radiusKm: Math.min(toNumber(req.query.radiusKm) || 25, 200) };
+    }
+
+    const result = await GroupBuyingService.discoverGroupBuys({
+      category,
+      minEcoScore: toNumber(req.query.minEcoScore),
+      minProgress: toNumber(req.query.minProgress),
+      endingWithinHours: toNumber(req.query.endingWithinHours),
+      near,
+      sort: sort || (near ? 'distance' : 'closest'),
+      limit: Math.min(parseInt(req.query.limit, 10) || 20, 50),
+      cursor
+    });
+
+    return res.json({
+      success: true,
+      count: result.groupBuys.length,
+      nextCursor: result.nextCursor,
+      data: result.groupBuys
+    });
+  } catch (error) {
+    return handleError(res, error, 'discovering group buys');
+  }
+};
+
+// Start a group buy for a product, or join its active one
+exports.createGroupBuy = async (req, res) => {
+  try {
+    const result = await GroupBuyingService.createGroupBuy(req.params.productId, req.user.id, {
+      paymentMethod: req.body.paymentMethod,
+      delivery: req.body.delivery
+    });
+
+    // Joining an existing group returns { groupBuy, message }
+    if (result.groupBuy) {
+      return res.json({
+        success: true,
+        message: result.message,
+        data: GroupBuyingService.formatGroupBuy(result.groupBuy, req.user.id)
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: GroupBuyingService.formatGroupBuy(result, req.user.id)
+    });
+  } catch (error) {
+    return handleError(res, error, 'creating group buy');
+  }
+};
+
+// Join a group buy; the payment method is authorized now and charged on completion
+exports.joinGroupBuy = async (req, res) => {
+  try {
+    const result = await GroupBuyingService.joinGroupBuy(req.params.groupId, req.user.id, {
+      paymentMethod: req.body.paymentMethod,
+      delivery: req.body.delivery
+    });
+
+    return res.json({
+      success: true,
+      message: result.message,
+      data: GroupBuyingService.formatGroupBuy(result.groupBuy, req.user.id)
+    });
+  } catch (error) {
+    return handleError(res, error, 'joining group buy');
+  }
+};
+
+// Leave a group buy the user has joined
+exports.leaveGroupBuy = async (req, res) => {
+  try {
+    const result = await GroupBuyingService.leaveGroupBuy(req.params.groupId, req.user.id);
+
+    return res.json({
+      success: true,
+      message: result.message,
+      data: GroupBuyingService.formatGroupBuy(result.groupBuy, req.user.id)
+    });
+  } catch (error) {
+    return handleError(res, error, 'leaving group buy');
+  }
+};
+
+// Cancel a group buy (initiator or admin)
+exports.cancelGroupBuy = async (req, res) => {
+  try {
+    const groupBuy = await GroupBuyingService.cancelGroupBuy(req.params.groupId, req.user.id, {
+      isAdmin: isAdmin(req),
+      reason: req.body.reason
+    });
+
+    return res.json({ success: true, data: GroupBuyingService.formatGroupBuy(groupBuy, req.user.id) });
+  } catch (error) {
+    return handleError(res, error, 'cancelling group buy');
+  }
+};
+
+// Environmental impact of a group buy, per shipping cluster
+exports.getGroupBuyImpact = async (req, res) => {
+  try {
+    const impact = await GroupBuyingService.calculateGroupBuyImpact(req.params.groupId);
+
+    return res.json({ success: true, data: impact });
+  } catch (error) {
+    return handleError(res, error, 'calculating group buy impact');
+  }
+};
+
+// Get the current user's shareable invite link for a group buy
+exports.createInvite = async (req, res) => {
+  try {
+    const invite = await GroupBuyingService.createInvite(req.params.groupId, req.user.id);
+
+    return res.json({ success: true, data: invite });
+  } catch (error) {
+    return handleError(res, error, 'creating invite');
+  }
+};
+
+// Preview the group buy behind an invite code
+exports.getInvite = async (req, res) => {
+  try {
+    const invite = await GroupBuyingService.getInvite(req.params.code);
+
+    return res.json({ success: true, data: invite });
+  } catch (error) {
+    if (error.message === 'This invite has expired') {
+      return res.status(410).json({ success: false, error: error.message });
+    }
+    return handleError(res, error, 'fetching invite');
+  }
+};
+
+// Join a group buy through an invite code
+exports.joinWithInvite = async (req, res) => {
+  try {
+    const result = await GroupBuyingService.joinWithInvite(req.params.code, req.user.id, {
+      paymentMethod: req.body.paymentMethod,
+      delivery: req.body.delivery
+    });
+
+    return res.json({
+      success: true,
+      message: result.message,
+      data: GroupBuyingService.formatGroupBuy(result.groupBuy, req.user.id)
+    });
+  } catch (error) {
+    return handleError(res, error, 'joining group buy');
+  }
+};
+
+// Top referrers by friends who completed a group buy
+exports.getReferralLeaderboard = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+    const since = req.query.since ? new Date(req.query.since) : null;
+
+    if (since && isNaN(since.getTime())) {
+      return res.status(400).json({ success: false, error: 'Invalid since date' });
+    }
+
+    const leaderboard = await GroupBuyingService.getReferralLeaderboard({ limit, since });
+
+    return res.json({
+      success: true,
+      count: leaderboard.length,
+      data: leaderboard
+    });
+  } catch (error) {
+    return handleError(res, error, 'fetching referral leaderboard');
+  }
+};
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const InteractionEventService = require('../services/interactionEventService');
+
+// Largest batch a client may send in one request
+const MAX_EVENTS_PER_REQUEST = 100;
+
+// Sources a client may report. 'server' is reserved for events the
+// services record themselves.
+const CLIENT_SOURCES = ['web', 'ios', 'android'];
+
+const isAdmin = req => req.user && req.user.role === 'admin';
+
+const parseSince = value => {
+  if (!value) return null;
+  const since = new Date(value);
+  return isNaN(since.getTime()) ? undefined : since;
+};
+
+// Record a batch of interaction events for the current user
+exports.trackEvents = async (req, res) => {
+  try {
+    const { events } = req.body;
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({ success: false, error: 'events must be a non-empty array' });
+    }
+
+    if (events.length > MAX_EVENTS_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_EVENTS_PER_REQUEST} events per request`
+      });
+    }
+
+    const source = req.body.source || 'web';
+
+    if (!CLIENT_SOURCES.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: `source must be one of: ${CLIENT_SOURCES.join(', ')}`
+      });
+    }
+
+    const result = InteractionEventService.trackBatch(req.user.id, events, { source });
+
+    // Events are written asynchronously in batches
+    return res.status(202).json({
+      success: true,
+      data: {
+        accepted: result.accepted,
+        rejected: result.rejected
+      }
+    });
+  } catch (error) {
+    console.error('Error tracking interaction events:', error);
+    return res.status(500).json({ success: false, error: 'Server error tracking interaction events' });
+  }
+};
+
+// The current user's recent activity
+exports.getMyEvents = async (req, res) => {
+  try {
+    const since = parseSince(req.query.since);
+
+    if (since === undefined) {
+      return res.status(400).json({ success: false, error: 'Invalid since date' });
+    }
+
+    const events = await InteractionEventService.getUserEvents(req.user.id, {
+      types: req.query.types ? req.query.types.split(',') : null,
+      since,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    });
+
+    return res.json({ success: true, count: events.length, data: events });
+  } catch (error) {
+    console.error('Error fetching interaction events:', error);
+    return res.status(500).json({ success: false, error: 'Server error fetching interaction events' });
+  }
+};
+
+// Event counts for a product, for its seller or an admin
+exports.getProductEventSummary = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const since = parseSince(req.query.since);
+
+    if (since === undefined) {
+      return res.status(400).json({ success: false, error: 'Invalid since date' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+
+    const product = await Product.findById(productId).select('seller');
+
+    if (!product) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+
+    const isSeller = product.seller && product.seller.toString() === req.user.id.toString();
+    if (!isAdmin(req) && !isSeller) {
+      return res.status(403).json({ success: false, error: 'Not authorized to view these analytics' });
+    }
+
+    const summary = await InteractionEventService.getProductEventSummary(productId, { since });
+
+    return res.json({ success: true, data: summary });
+  } catch (error) {
+    console.error('Error fetching product event summary:', error);
+    return res.status(500).json({ success: false, error: 'Server error fetching product event summary' });
+  }
+};
+
+// Most frequent search queries (admin)
+exports.getTopSearches = async (req, res) => {
+  if (!isAdmin(req)) {
+    return res.status(403).json({ success: false, error: 'Admin access required' });
+  }
+
+  try {
+    const since = parseSince(req.query.since);
+
+    if (since === undefined) {
+      return res.status(400).json({ success: false, error: 'Invalid since date' });
+    }
+
+    const searches = await InteractionEventService.getTopSearches({
+      since,
+      limit: Math.min(parseInt(req.query.limit, 10) || 20, 100)
+    });
+
+    return res.json({ success: true, data: searches });
+  } catch (error) {
+    console.error('Error fetching top searches:', error);
+    return res.status(500).json({ success: false, error: 'Server error fetching top searches' });
+  }
+};
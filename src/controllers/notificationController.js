@@ -0,0 +1,74 @@
+const NotificationService = require('../services/notificationService');
+
+// Get the current user's notification inbox
+exports.getInbox = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { unreadOnly, limit, before } = req.query;
+
+    const { notifications, unreadCount } = await NotificationService.getInbox(userId, {
+      unreadOnly: unreadOnly === 'true',
+      limit: Math.min(parseInt(limit, 10) || 20, 100),
+      before
+    });
+
+    return res.json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      data: notifications
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching notifications'
+    });
+  }
+};
+
+// Mark a single notification as read
+exports.markAsRead = async (req, res) => {
+  try {
+    const notification = await NotificationService.markAsRead(
+      req.user.id,
+      req.params.notificationId
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error updating notification'
+    });
+  }
+};
+
+// Mark all of the current user's notifications as read
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const updated = await NotificationService.markAllAsRead(req.user.id);
+
+    return res.json({
+      success: true,
+      updated
+    });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error updating notifications'
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,116 @@
+const CheckoutService = require('../services/checkoutService');
+const CartOptimizerService = require('../services/cartOptimizerService');
+
+// Place an order for the current cart
+exports.checkout = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { items, packagingOptionId } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cart items are required'
+      });
+    }
+
+    const order = await CheckoutService.checkout(userId, items, packagingOptionId);
+
+    return res.status(201).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    console.error('Error during checkout:', error);
+
+    if ([
+      'Insufficient stock',
+      'Product not found',
+      'Packaging option not found for products in cart',
+      'Quantity must be a positive integer'
+    ].includes(error.message)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Server error during checkout'
+    });
+  }
+};
+
+// Packaging options for the cart and the one to preselect at checkout
+exports.getPackagingChoices = async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cart items are required'
+      });
+    }
+
+    const choices = await CheckoutService.getPackagingChoices(req.user.id, items);
+
+    return res.json({
+      success: true,
+      data: choices
+    });
+  } catch (error) {
+    console.error('Error fetching packaging choices:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching packaging choices'
+    });
+  }
+};
+
+// Suggest cart changes that cut the most CO2e within a price budget
+exports.optimizeCart = async (req, res) => {
+  try {
+    const { items, packagingOptionId, delivery } = req.body;
+    const maxPriceIncrease = req.body.maxPriceIncrease !== undefined ? Number(req.body.maxPriceIncrease) : 0;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cart items are required'
+      });
+    }
+
+    if (!(maxPriceIncrease >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxPriceIncrease must be a non-negative number'
+      });
+    }
+
+    const result = await CartOptimizerService.optimizeCart(req.user.id, items, {
+      maxPriceIncrease,
+      packagingOptionId,
+      delivery
+    });
+
+    return res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.message === 'Product not found') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error optimizing cart:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error optimizing cart'
+    });
+  }
+};
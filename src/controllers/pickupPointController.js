@@ -0,0 +1,83 @@
+const PickupPoint = require('../models/PickupPoint');
+const Geo = require('../utils/geo');
+
+const isAdmin = req => req.user && req.user.role === 'admin';
+
+const forbidden = res => res.status(403).json({
+  success: false,
+  error: 'Admin access required'
+});
+
+// Find active pickup points near a location
+exports.findNearbyPickupPoints = async (req, res) => {
+  try {
+    const coordinates = [Number(req.query.longitude), Number(req.query.latitude)];
+    const radiusKm = Math.min(Number(req.query.radiusKm) || 10, 100);
+
+    if (!Geo.isValidCoordinates(coordinates)) {
+      return res.status(400).json({ success: false, error: 'longitude and latitude are required' });
+    }
+
+    const pickupPoints = await PickupPoint.find({
+      active: true,
+      location: {
+        $nearSphere: {
+          $geometry: { type: 'Point', coordinates },
+          $maxDistance: radiusKm * 1000
+        }
+      }
+    }).limit(20);
+
+    return res.json({
+      success: true,
+      count: pickupPoints.length,
+      data: pickupPoints.map(pickupPoint => ({
+        ...pickupPoint.toObject(),
+        distanceKm: +Geo.distanceKm(coordinates, pickupPoint.location.coordinates).toFixed(1)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching pickup points:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching pickup points'
+    });
+  }
+};
+
+// Add a pickup point
+exports.createPickupPoint = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const { name, address, longitude, latitude, openingHours } = req.body;
+    const coordinates = [Number(longitude), Number(latitude)];
+
+    if (!Geo.isValidCoordinates(coordinates)) {
+      return res.status(400).json({ success: false, error: 'Invalid longitude or latitude' });
+    }
+
+    const pickupPoint = await PickupPoint.create({
+      name,
+      address,
+      location: { type: 'Point', coordinates },
+      openingHours
+    });
+
+    return res.status(201).json({ success: true, data: pickupPoint });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pickup point',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    console.error('Error creating pickup point:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error creating pickup point'
+    });
+  }
+};
@@ -0,0 +1,83 @@
+const RecommendationEngine = require('../services/recommendationEngine');
+const ModelStore = require('../services/recommendation/modelStore');
+
+const isAdmin = req => req.user && req.user.role === 'admin';
+
+const forbidden = res => res.status(403).json({
+  success: false,
+  error: 'Admin access required'
+});
+
+// Train, evaluate and activate a new recommendation model version
+exports.trainRecommendationModel = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const { epochs, negativeRatio, testFraction, since } = req.body;
+    const isSet = value => value !== undefined && value !== null && value !== '';
+    const isIntegerIn = (value, min, max) => Number.isInteger(Number(value)) &&
+      Number(value) >= min && Number(value) <= max;
+
+    if (isSet(epochs) && !isIntegerIn(epochs, 1, Infinity)) {
+      return res.status(400).json({ success: false, error: 'epochs must be a positive integer' });
+    }
+
+    if (isSet(negativeRatio) && !isIntegerIn(negativeRatio, 1, 20)) {
+      return res.status(400).json({ success: false, error: 'negativeRatio must be an integer from 1 to 20' });
+    }
+
+    // Both the training and the test split need users in them
+    if (isSet(testFraction) && !(Number(testFraction) > 0 && Number(testFraction) < 1)) {
+      return res.status(400).json({ success: false, error: 'testFraction must be between 0 and 1' });
+    }
+
+    const sinceDate = isSet(since) ? new Date(since) : null;
+    if (sinceDate && isNaN(sinceDate.getTime())) {
+      return res.status(400).json({ success: false, error: 'Invalid since date' });
+    }
+
+    const metadata = await RecommendationEngine.trainModel({
+      epochs: isSet(epochs) ? Math.min(Number(epochs), 200) : undefined,
+      negativeRatio: isSet(negativeRatio) ? Number(negativeRatio) : undefined,
+      testFraction: isSet(testFraction) ? Number(testFraction) : undefined,
+      since: sinceDate
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: metadata
+    });
+  } catch (error) {
+    if (/^Not enough interaction data/.test(error.message)) {
+      return res.status(422).json({ success: false, error: error.message });
+    }
+
+    console.error('Error training recommendation model:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error training recommendation model'
+    });
+  }
+};
+
+// List saved model versions with their evaluation metrics
+exports.listRecommendationModels = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const versions = await ModelStore.listVersions();
+
+    return res.json({
+      success: true,
+      count: versions.length,
+      active: RecommendationEngine.modelMetadata ? RecommendationEngine.modelMetadata.version : null,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Error listing recommendation models:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error listing recommendation models'
+    });
+  }
+};
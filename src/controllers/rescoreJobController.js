@@ -0,0 +1,128 @@
+const RescoreJobService = require('../services/rescoreJobService');
+
+const isAdmin = req => req.user && req.user.role === 'admin';
+
+const forbidden = res => res.status(403).json({
+  success: false,
+  error: 'Admin access required'
+});
+
+// Start a catalog rescore (optionally as a dry run)
+exports.startRescoreJob = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const { rulesetName, rulesetVersion, dryRun, batchSize } = req.body;
+
+    const job = await RescoreJobService.startJob({
+      rulesetName,
+      rulesetVersion: rulesetVersion ? Number(rulesetVersion) : null,
+      dryRun: Boolean(dryRun),
+      batchSize
+    }, req.user.id);
+
+    return res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    if (/^(Scoring ruleset .* not found|No active version)/.test(error.message)) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (/^Scoring ruleset .* is a draft/.test(error.message)) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error('Error starting rescore job:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error starting rescore job'
+    });
+  }
+};
+
+// Get job progress and a page of its diff report (?page=&limit=)
+exports.getRescoreJob = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const report = await RescoreJobService.getJobReport(req.params.jobId, {
+      page: Math.max(parseInt(req.query.page, 10) || 1, 1),
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+    });
+
+    return res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    if (error.message === 'Rescore job not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    console.error('Error fetching rescore job:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching rescore job'
+    });
+  }
+};
+
+// List recent rescore jobs
+exports.listRescoreJobs = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const jobs = await RescoreJobService.listJobs();
+
+    return res.json({
+      success: true,
+      count: jobs.length,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Error listing rescore jobs:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error listing rescore jobs'
+    });
+  }
+};
+
+// Resume a failed or interrupted rescore job
+exports.resumeRescoreJob = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const job = await RescoreJobService.resumeJob(req.params.jobId);
+
+    return res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    if (error.message === 'Rescore job not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (error.message === 'Rescore job has already completed') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+
+    // Possibly still alive in another process; it can be taken over once stale
+    if (error.retryAfter) {
+      res.set('Retry-After', Math.ceil((error.retryAfter.getTime() - Date.now()) / 1000));
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+
+    console.error('Error resuming rescore job:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error resuming rescore job'
+    });
+  }
+};
\ No newline at end of file
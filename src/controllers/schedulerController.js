@@ -0,0 +1,81 @@
+const SchedulerService = require('../services/schedulerService');
+
+const isAdmin = req => req.user && req.user.role === 'admin';
+
+const forbidden = res => res.status(403).json({
+  success: false,
+  error: 'Admin access required'
+});
+
+// List scheduled jobs with their last run
+exports.listScheduledJobs = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const jobs = await SchedulerService.listJobs();
+
+    return res.json({
+      success: true,
+      count: jobs.length,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Error listing scheduled jobs:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error listing scheduled jobs'
+    });
+  }
+};
+
+// Run a scheduled job now
+exports.runScheduledJob = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const result = await SchedulerService.runNow(req.params.name);
+
+    return res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (/not found/.test(error.message)) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (/already running/.test(error.message)) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+
+    console.error('Error running scheduled job:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error running scheduled job'
+    });
+  }
+};
+
+// Pause or resume a scheduled job
+exports.setScheduledJobEnabled = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const job = await SchedulerService.setEnabled(req.params.name, Boolean(req.body.enabled));
+
+    return res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    if (/not found/.test(error.message)) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    console.error('Error updating scheduled job:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error updating scheduled job'
+    });
+  }
+};
@@ -0,0 +1,115 @@
+const ScoringRulesetService = require('../services/scoringRulesetService');
+
+const isAdmin = req => req.user && req.user.role === 'admin';
+
+const forbidden = res => res.status(403).json({
+  success: false,
+  error: 'Admin access required'
+});
+
+// Map service errors to HTTP responses
+const handleError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid scoring ruleset',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  if (/not found/.test(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+
+  if (/^(Only draft|Conflict)/.test(error.message)) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({ success: false, error: `Server error ${action}` });
+};
+
+// List ruleset versions
+exports.listRulesets = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const rulesets = await ScoringRulesetService.listRulesets(req.query.name);
+
+    return res.json({
+      success: true,
+      count: rulesets.length,
+      data: rulesets
+    });
+  } catch (error) {
+    return handleError(res, error, 'listing scoring rulesets');
+  }
+};
+
+// Get a single ruleset version
+exports.getRuleset = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const ruleset = await ScoringRulesetService.getRuleset(req.params.rulesetId);
+
+    if (!ruleset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scoring ruleset not found'
+      });
+    }
+
+    return res.json({ success: true, data: ruleset });
+  } catch (error) {
+    return handleError(res, error, 'fetching scoring ruleset');
+  }
+};
+
+// Create a new draft version
+exports.createRuleset = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const ruleset = await ScoringRulesetService.createRuleset(req.body, req.user.id);
+    return res.status(201).json({ success: true, data: ruleset });
+  } catch (error) {
+    return handleError(res, error, 'creating scoring ruleset');
+  }
+};
+
+// Edit a draft version
+exports.updateRuleset = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const ruleset = await ScoringRulesetService.updateRuleset(req.params.rulesetId, req.body);
+    return res.json({ success: true, data: ruleset });
+  } catch (error) {
+    return handleError(res, error, 'updating scoring ruleset');
+  }
+};
+
+// Activate a version (also used to roll back to an archived one)
+exports.activateRuleset = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    const ruleset = await ScoringRulesetService.activateRuleset(req.params.rulesetId);
+    return res.json({ success: true, data: ruleset });
+  } catch (error) {
+    return handleError(res, error, 'activating scoring ruleset');
+  }
+};
+
+// Delete a draft version
+exports.deleteRuleset = async (req, res) => {
+  if (!isAdmin(req)) return forbidden(res);
+
+  try {
+    await ScoringRulesetService.deleteRuleset(req.params.rulesetId);
+    return res.json({ success: true });
+  } catch (error) {
+    return handleError(res, error, 'deleting scoring ruleset');
+  }
+};
\ No newline at end of file
@@ -2,8 +2,13 @@ const Product = require('../models/Product');
 const User = require('../models/User');
 const Order = require('../models/Order');
 const SustainabilityScoring = require('../utils/sustainabilityScoring');
+const LifecycleCarbonCalculator = require('../utils/lifecycleCarbonCalculator');
+const ScoringRulesetService = require('../services/scoringRulesetService');
+const EmissionFactorService = require('../services/emissionFactorService');
 const RecommendationEngine = require('../services/recommendationEngine');
 const GroupBuyingService = require('../services/groupBuyingService');
+const GreenerAlternativesService = require('../services/greenerAlternativesService');
+const ExperimentService = require('../services/experimentService');
 const mongoose = require('mongoose');
 
 // Get eco-friendly product recommendations
@@ -11,24 +16,42 @@ exports.getRecommendations = async (req, res) => {
   try {
     const userId = req.user.id;
     const { category } = req.query;
+    const diversity = req.query.diversity !== undefined ? Number(req.query.diversity) : undefined;
+    
+    if (diversity !== undefined && !(diversity >= 0 && diversity <= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'diversity must be between 0 and 1'
+      });
+    }
     
     // Initialize recommendation engine if not already initialized
-    if (!RecommendationEngine.model) {
+    if (!RecommendationEngine.initialized) {
       await RecommendationEngine.initialize();
     }
     
-    // Get recommendations for user
-    const recommendations = await RecommendationEngine.getRecommendationsForUser(userId);
+    // Ranking weights come from the user's experiment variant, if any
+    const { params, assignment } = await ExperimentService.getParams('recommendations', userId);
     
-    // Filter by category if provided
-    const filteredRecommendations = category
-      ? recommendations.filter(product => product.category === category)
-      : recommendations;
+    // Category filtering happens before ranking, inside the engine
+    const recommendations = await RecommendationEngine.getRecommendationsForUser(userId, {
+      category: category || null,
+      diversity: diversity !== undefined ? diversity : params.diversity,
+      weights: {
+        sustainability: params.sustainabilityWeight,
+        preference: 1 - params.sustainabilityWeight
+      },
+      limit: Math.min(parseInt(req.query.limit, 10) || 10, 50)
+    });
     
     return res.json({
       success: true,
-      count: filteredRecommendations.length,
-      data: filteredRecommendations
+      count: recommendations.length,
+      experiment: assignment,
+      data: recommendations.map(({ product, score, reasons }) => ({
+        ...product,
+        recommendation: { score, reasons }
+      }))
     });
   } catch (error) {
     console.error('Error getting recommendations:', error);
@@ -106,22 +129,246 @@ exports.calculateProductScore = async (req, res) => {
       });
     }
     
+    // Score against the requested ruleset version (active 'default' if omitted)
+    const { ruleset = 'default', version } = req.query;
+    const rules = await ScoringRulesetService.getRules(ruleset, version ? Number(version) : null);
+    await EmissionFactorService.ensureLoaded();
+    
     // Calculate sustainability scores
-    const ecoScore = SustainabilityScoring.calculateEcoScore(product);
-    const ecoLabel = SustainabilityScoring.getEcoLabel(ecoScore);
-    const materialScore = SustainabilityScoring.scoreMaterials(product.materials);
-    const packagingScore = SustainabilityScoring.scorePackaging(product.packaging);
-    const productionScore = SustainabilityScoring.scoreProduction(product.production);
-    const carbonSavings = SustainabilityScoring.calculateCarbonSavings(product);
+    const scores = SustainabilityScoring.scoreProduct(product, rules);
+    const carbonSavings = SustainabilityScoring.calculateCarbonSavings(
+      SustainabilityScoring.getScoringInput(product),
+      null,
+      rules
+    );
     
     // Update product with scores
-    product.sustainability = {
-      ecoScore,
-      ecoLabel,
-      materialScore,
-      packagingScore,
-      productionScore,
-      carbonFootprint: product.carbonFootprint,
+    product.sustainability = scores;
+    
+    await product.save();
+    
+    return res.json({
+      success: true,
+      data: {
+        productId: product._id,
+        ...scores,
+        carbonSavings
+      }
+    });
+  } catch (error) {
+    if (/^(Scoring ruleset .* not found|No active version)/.test(error.message)) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    if (/^Scoring ruleset .* is a draft/.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    console.error('Error calculating product score:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error calculating product score'
+    });
+  }
+};
+
+// Explain how a product's eco-score is made up and what would raise it
+exports.explainProductScore = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    
+    const product = await Product.findById(productId);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+    
+    // Explaining stores nothing, so drafts can be previewed
+    const { ruleset = 'default', version } = req.query;
+    const rules = await ScoringRulesetService.getRules(ruleset, version ? Number(version) : null, {
+      allowDraft: true
+    });
+    
+    const explanation = SustainabilityScoring.explainEcoScore(
+      SustainabilityScoring.getScoringInput(product),
+      rules
+    );
+    
+    return res.json({
+      success: true,
+      data: {
+        productId: product._id,
+        storedEcoScore: product.sustainability.ecoScore,
+        ...explanation
+      }
+    });
+  } catch (error) {
+    if (/^(Scoring ruleset .* not found|No active version)/.test(error.message)) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    console.error('Error explaining product score:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error explaining product score'
+    });
+  }
+};
+
+// Calculate a product's carbon footprint from its lifecycle data and rescore it
+exports.calculateProductFootprint = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    
+    const product = await Product.findById(productId);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+    
+    // Use lifecycle data from the request if given, otherwise what is stored
+    const { billOfMaterials, manufacturing, transport } = req.body;
+    if (billOfMaterials) product.lifecycle.billOfMaterials = billOfMaterials;
+    if (manufacturing) product.lifecycle.manufacturing = manufacturing;
+    if (transport) product.lifecycle.transport = transport;
+    
+    await EmissionFactorService.ensureLoaded();
+    
+    let footprint;
+    try {
+      footprint = LifecycleCarbonCalculator.calculate(product.toObject().lifecycle);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    product.lifecycle.breakdown = {
+      materials: footprint.stages.materials.total,
+      manufacturing: footprint.stages.manufacturing.total,
+      transport: footprint.stages.transport.total
     };
+    product.lifecycle.calculatedAt = new Date();
+    product.sustainability.carbonFootprint = footprint.total;
     
-    
\ No newline at end of file
+    // The new footprint feeds the carbon component of the eco-score
+    const rules = await ScoringRulesetService.getRules();
+    product.sustainability = SustainabilityScoring.scoreProduct(product, rules);
+    
+    await product.save();
+    
+    return res.json({
+      success: true,
+      data: {
+        productId: product._id,
+        footprint,
+        sustainability: product.sustainability
+      }
+    });
+  } catch (error) {
+    console.error('Error calculating product footprint:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error calculating product footprint'
+    });
+  }
+};
+
+// Parse the shared alternative-search query options
+const parseAlternativeOptions = query => ({
+  limit: Math.min(parseInt(query.limit, 10) || 5, 20),
+  priceBand: query.priceBand !== undefined ? Number(query.priceBand) : undefined
+});
+
+// Greener substitutes for a product (product page "swap" suggestions)
+exports.getGreenerAlternatives = async (req, res) => {
+  try {
+    const options = parseAlternativeOptions(req.query);
+    
+    if (options.priceBand !== undefined && !(options.priceBand >= 0 && options.priceBand <= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'priceBand must be between 0 and 1'
+      });
+    }
+    
+    const result = await GreenerAlternativesService.findAlternatives(req.params.productId, options);
+    
+    return res.json({
+      success: true,
+      count: result.alternatives.length,
+      data: result
+    });
+  } catch (error) {
+    if (error.message === 'Product not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    console.error('Error fetching greener alternatives:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching greener alternatives'
+    });
+  }
+};
+
+// Greener substitutes for each item in a cart
+exports.getCartAlternatives = async (req, res) => {
+  try {
+    const { items } = req.body;
+    const options = parseAlternativeOptions(req.query);
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'items must be a non-empty array'
+      });
+    }
+    
+    if (options.priceBand !== undefined && !(options.priceBand >= 0 && options.priceBand <= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'priceBand must be between 0 and 1'
+      });
+    }
+    
+    const results = await GreenerAlternativesService.findAlternativesForCart(items, options);
+    
+    return res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    if (error.message === 'Product not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    console.error('Error fetching cart alternatives:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error fetching cart alternatives'
+    });
+  }
+};
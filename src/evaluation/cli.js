@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Offline evaluation of recommendation strategies against a dataset.
+ *
+ *   node src/evaluation/cli.js --dataset baseline --compare default,preference-heavy
+ *   node src/evaluation/cli.js --dataset ./my-data.json --compare default,blend=0.5:diversity=1 --k 5 --split 0.75
+ *   node src/evaluation/cli.js --list
+ *
+ * Options:
+ *   --dataset <name|path>  bundled fixture name or dataset file (default: baseline)
+ *   --compare <a,b,...>    strategies to evaluate side by side (default: default)
+ *   --k <n>                list length for the top-k metrics (default: 10)
+ *   --split <fraction>     share of purchases used as history (default: 0.8)
+ *   --json                 print results as JSON
+ *   --list                 list bundled datasets and named strategies
+ */
+const Datasets = require('./datasets');
+const { STRATEGIES, resolve } = require('./strategies');
+const OfflineEvaluator = require('./offlineEvaluator');
+
+const METRICS = [
+  ['precision', 'Precision@k'],
+  ['recall', 'Recall@k'],
+  ['ndcg', 'NDCG@k'],
+  ['coverage', 'Catalog coverage'],
+  ['averageEcoScore', 'Avg eco-score']
+];
+
+// Options that take no value
+const FLAGS = ['json', 'list'];
+
+const parseArgs = argv => {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+
+    if (FLAGS.includes(key)) {
+      args[key] = true;
+    } else {
+      args[key] = argv[i + 1];
+      i++;
+    }
+  }
+
+  return args;
+};
+
+const pad = (value, width) => String(value).padEnd(width);
+
+const printTable = (results, k) => {
+  const labelWidth = 18;
+  const columnWidth = Math.max(12, ...results.map(result => result.strategy.length + 2));
+
+  const header = [pad('', labelWidth), ...results.map(result => pad(result.strategy, columnWidth))];
+  if (results.length === 2) header.push('Delta');
+  console.log(header.join(''));
+
+  METRICS.forEach(([key, label]) => {
+    const row = [
+      pad(label.replace('@k', `@${k}`), labelWidth),
+      ...results.map(result => pad(result[key].toFixed(4), columnWidth))
+    ];
+
+    if (results.length === 2) {
+      const delta = results[1][key] - results[0][key];
+      row.push(`${delta >= 0 ? '+' : ''}${delta.toFixed(4)}`);
+    }
+
+    console.log(row.join(''));
+  });
+
+  console.log('');
+  results.forEach(result => console.log(`${result.strategy}: ${result.description}`));
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.list) {
+    console.log(`Datasets: ${Datasets.list().join(', ')}`);
+    console.log('Strategies:');
+    Object.entries(STRATEGIES).forEach(([name, strategy]) => console.log(`  ${name}: ${strategy.description}`));
+    return;
+  }
+
+  const k = parseInt(args.k || '10', 10);
+  const trainFraction = Number(args.split || '0.8');
+
+  if (!(k > 0)) throw new Error('--k must be a positive integer');
+  if (!(trainFraction > 0 && trainFraction < 1)) throw new Error('--split must be between 0 and 1');
+
+  const dataset = Datasets.load(args.dataset || 'baseline');
+  const strategies = (args.compare || 'default').split(',').map(resolve);
+  const results = OfflineEvaluator.compare(dataset, strategies, { k, trainFraction });
+
+  if (args.json) {
+    console.log(JSON.stringify({ dataset: dataset.name, k, trainFraction, results }, null, 2));
+    return;
+  }
+
+  console.log(`Dataset: ${dataset.name} (${dataset.products.length} products, ` +
+    `${dataset.purchases.length} purchases), k=${k}, history=${trainFraction * 100}%, ` +
+    `${results[0].users} users evaluated\n`);
+  printTable(results, k);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Loads evaluation datasets and splits their purchase history in time.
+ * A dataset is JSON with products, users and purchases
+ * ([{ userId, productId, at }]); see fixtures/ for examples.
+ */
+class Datasets {
+  /**
+   * Names of the bundled fixture datasets
+   */
+  list() {
+    return fs.readdirSync(FIXTURES_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'));
+  }
+
+  /**
+   * Load a bundled fixture by name, or any dataset file by path
+   */
+  load(nameOrPath) {
+    const file = fs.existsSync(nameOrPath)
+      ? nameOrPath
+      : path.join(FIXTURES_DIR, `${nameOrPath}.json`);
+
+    if (!fs.existsSync(file)) {
+      throw new Error(`Dataset "${nameOrPath}" not found (bundled: ${this.list().join(', ')})`);
+    }
+
+    const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    ['products', 'users', 'purchases'].forEach(key => {
+      if (!Array.isArray(dataset[key])) {
+        throw new Error(`Dataset "${nameOrPath}" is missing its ${key} array`);
+      }
+    });
+
+    return dataset;
+  }
+
+  /**
+   * Split purchases at a point in time: everything before it is history the
+   * recommender may use, and each user's later purchases of products they
+   * hadn't bought before are what it should have recommended.
+   * @param {Object} options - { trainFraction } share of purchases before the cutoff
+   * @return {Object} { cutoff, history: Map userId -> [productId], relevant: Map userId -> Set productId }
+   */
+  splitByTime(dataset, { trainFraction = 0.8 } = {}) {
+    const purchases = dataset.purchases
+      .map(purchase => ({ ...purchase, at: new Date(purchase.at) }))
+      .sort((a, b) => a.at - b.at);
+
+    if (purchases.length < 2) {
+      throw new Error('A dataset needs at least two purchases to split');
+    }
+
+    const index = Math.min(Math.max(Math.floor(purchases.length * trainFraction), 1), purchases.length - 1);
+    const cutoff = purchases[index].at;
+
+    const history = new Map();
+    const relevant = new Map();
+
+    purchases.forEach(purchase => {
+      const userId = String(purchase.userId);
+      const productId = String(purchase.productId);
+
+      if (purchase.at < cutoff) {
+        if (!history.has(userId)) history.set(userId, []);
+        history.get(userId).push(productId);
+        return;
+      }
+
+      const known = history.get(userId) || [];
+      if (known.includes(productId)) return;
+
+      if (!relevant.has(userId)) relevant.set(userId, new Set());
+      relevant.get(userId).add(productId);
+    });
+
+    return { cutoff, history, relevant };
+  }
+}
+
+module.exports = new Datasets();
@@ -0,0 +1,64 @@
+/**
+ * Top-k ranking metrics. Recommended lists are arrays of product ids, best
+ * first; relevant items are a Set of product ids.
+ */
+class RankingMetrics {
+  precisionAtK(recommended, relevant, k) {
+    if (k === 0) return 0;
+    return this.hits(recommended, relevant, k) / k;
+  }
+
+  recallAtK(recommended, relevant, k) {
+    if (relevant.size === 0) return 0;
+    return this.hits(recommended, relevant, k) / relevant.size;
+  }
+
+  /**
+   * Normalised discounted cumulative gain with binary relevance
+   */
+  ndcgAtK(recommended, relevant, k) {
+    const dcg = recommended.slice(0, k).reduce(
+      (sum, productId, i) => sum + (relevant.has(productId) ? 1 / Math.log2(i + 2) : 0), 0
+    );
+
+    let ideal = 0;
+    for (let i = 0; i < Math.min(relevant.size, k); i++) {
+      ideal += 1 / Math.log2(i + 2);
+    }
+
+    return ideal > 0 ? dcg / ideal : 0;
+  }
+
+  /**
+   * Share of the catalog that appears in at least one user's list
+   */
+  coverage(recommendedLists, catalogSize) {
+    if (catalogSize === 0) return 0;
+
+    const seen = new Set();
+    recommendedLists.forEach(list => list.forEach(productId => seen.add(productId)));
+    return seen.size / catalogSize;
+  }
+
+  /**
+   * Mean eco-score over every recommended item
+   * @param {Map} ecoScores - productId -> ecoScore
+   */
+  averageEcoScore(recommendedLists, ecoScores) {
+    let total = 0;
+    let count = 0;
+
+    recommendedLists.forEach(list => list.forEach(productId => {
+      total += ecoScores.get(productId) || 0;
+      count++;
+    }));
+
+    return count > 0 ? total / count : 0;
+  }
+
+  hits(recommended, relevant, k) {
+    return recommended.slice(0, k).filter(productId => relevant.has(productId)).length;
+  }
+}
+
+module.exports = new RankingMetrics();
@@ -0,0 +1,64 @@
+/**
+ * Scoring strategies the offline evaluator can replay. Each sets the
+ * heuristic blend of sustainability and preference match and the MMR
+ * diversity used by RecommendationEngine.getRecommendationsForUser.
+ */
+const STRATEGIES = {
+  default: {
+    description: 'Production ranking: 0.7 sustainability / 0.3 preference, MMR diversity 0.7',
+    weights: { sustainability: 0.7, preference: 0.3 },
+    diversity: 0.7
+  },
+  'no-diversity': {
+    description: 'Production blend ranked by score alone',
+    weights: { sustainability: 0.7, preference: 0.3 },
+    diversity: 1
+  },
+  'preference-heavy': {
+    description: '0.4 sustainability / 0.6 preference, MMR diversity 0.7',
+    weights: { sustainability: 0.4, preference: 0.6 },
+    diversity: 0.7
+  },
+  'sustainability-only': {
+    description: 'Eco metrics only, ignoring the shopper\'s history',
+    weights: { sustainability: 1, preference: 0 },
+    diversity: 0.7
+  }
+};
+
+/**
+ * Resolve a strategy by name, or build one from an ad-hoc spec such as
+ * "blend=0.6" or "blend=0.5:diversity=1" (blend is the sustainability weight)
+ * @return {Object} { name, description, weights, diversity }
+ */
+function resolve(spec) {
+  if (STRATEGIES[spec]) {
+    return { name: spec, ...STRATEGIES[spec] };
+  }
+
+  const params = {};
+  spec.split(':').forEach(pair => {
+    const [key, value] = pair.split('=');
+    params[key] = Number(value);
+  });
+
+  const blend = params.blend !== undefined ? params.blend : STRATEGIES.default.weights.sustainability;
+  const diversity = params.diversity !== undefined ? params.diversity : STRATEGIES.default.diversity;
+  const unknown = Object.keys(params).filter(key => !['blend', 'diversity'].includes(key));
+
+  if (unknown.length > 0 || !(blend >= 0 && blend <= 1) || !(diversity >= 0 && diversity <= 1)) {
+    throw new Error(
+      `Unknown strategy "${spec}". Use one of ${Object.keys(STRATEGIES).join(', ')} ` +
+      'or "blend=<0-1>[:diversity=<0-1>]"'
+    );
+  }
+
+  return {
+    name: spec,
+    description: `${blend} sustainability / ${+(1 - blend).toFixed(2)} preference, MMR diversity ${diversity}`,
+    weights: { sustainability: blend, preference: 1 - blend },
+    diversity
+  };
+}
+
+module.exports = { STRATEGIES, resolve };
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const CertificationSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Scheme keyword from the scoring ruleset's certScores, e.g. 'fsc', 'b-corp'
+  scheme: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  certifier: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  certificateNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  scope: {
+    type: String
+  },
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  evidenceDocument: {
+    url: {
+      type: String,
+      required: true
+    },
+    filename: String,
+    mimeType: String,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired', 'revoked'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String
+  },
+  // When the certificate first counted toward its product's score
+  activatedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A certificate can only be registered once per product
+CertificationSchema.index({ productId: 1, scheme: 1, certificateNumber: 1 }, { unique: true });
+CertificationSchema.index({ status: 1, validUntil: 1 });
+CertificationSchema.index({ status: 1, activatedAt: 1, validFrom: 1 });
+
+CertificationSchema.pre('validate', function(next) {
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  next();
+});
+
+// Approved and inside its validity window
+CertificationSchema.methods.isVerified = function(date = new Date()) {
+  return this.status === 'approved' && this.validFrom <= date && this.validUntil > date;
+};
+
+const Certification = mongoose.model('Certification', CertificationSchema);
+module.exports = Certification;
\ No newline at end of file
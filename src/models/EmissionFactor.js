@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Canonical unit for each activity type (the part before the colon)
+const ACTIVITY_UNITS = {
+  material: ['kg'],
+  electricity: ['kWh'],
+  transport: ['tonne-km', 'km'],
+  shipment: ['shipment'],
+  baseline: ['item']
+};
+
+const EmissionFactorSchema = new mongoose.Schema({
+  // e.g. material:organic-cotton, electricity:grid, transport:sea, shipment:parcel
+  activity: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z]+:[a-z0-9-]+$/
+  },
+  unit: {
+    type: String,
+    required: true
+  },
+  region: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'GLOBAL'
+  },
+  source: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  value: {
+    type: Number,  // kg CO2e per unit
+    required: true,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: () => new Date(0)
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+EmissionFactorSchema.index(
+  { activity: 1, unit: 1, region: 1, source: 1, validFrom: 1 },
+  { unique: true }
+);
+
+// Unit must match the activity type, and the validity window must be ordered
+EmissionFactorSchema.pre('validate', function(next) {
+  const type = (this.activity || '').split(':')[0];
+  const allowedUnits = ACTIVITY_UNITS[type];
+
+  if (!allowedUnits) {
+    this.invalidate('activity', `Unknown activity type "${type}"`);
+  } else if (!allowedUnits.includes(this.unit)) {
+    this.invalidate('unit', `Unit "${this.unit}" is not valid for ${type} (expected ${allowedUnits.join(' or ')})`);
+  }
+
+  if (this.validTo && this.validFrom && this.validTo <= this.validFrom) {
+    this.invalidate('validTo', 'validTo must be after validFrom');
+  }
+
+  next();
+});
+
+EmissionFactorSchema.statics.ACTIVITY_UNITS = ACTIVITY_UNITS;
+
+const EmissionFactor = mongoose.model('EmissionFactor', EmissionFactorSchema);
+module.exports = EmissionFactor;
\ No newline at end of file
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Parts of the product an experiment can change; each reads its variant's params
+const SURFACES = ['recommendations', 'group_buy', 'checkout_packaging'];
+
+const ExperimentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^[a-z0-9][a-z0-9-]*$/
+  },
+  description: String,
+  surface: {
+    type: String,
+    enum: SURFACES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'running', 'paused', 'completed'],
+    default: 'draft'
+  },
+  // Share of users enrolled at all (0-100); the rest get the defaults
+  trafficPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 100
+  },
+  // Split of enrolled users; weights add up to 100
+  variants: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true
+    },
+    weight: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Overrides for the surface's defaults, e.g. { sustainabilityWeight: 0.5 }
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  }],
+  // Mixed into bucketing so experiments don't share user splits
+  salt: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: Date,
+  endedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// At most one running experiment per surface, so assignments never conflict
+ExperimentSchema.index(
+  { surface: 1 },
+  { unique: true, partialFilterExpression: { status: 'running' } }
+);
+
+ExperimentSchema.statics.SURFACES = SURFACES;
+
+const Experiment = mongoose.model('Experiment', ExperimentSchema);
+module.exports = Experiment;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// The first time a user saw an experiment's variant, plus how often since.
+// Results count only what users did after their first exposure.
+const ExperimentExposureSchema = new mongoose.Schema({
+  experimentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Experiment',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  variant: {
+    type: String,
+    required: true
+  },
+  firstExposedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastExposedAt: {
+    type: Date,
+    default: Date.now
+  },
+  exposures: {
+    type: Number,
+    default: 1
+  }
+});
+
+ExperimentExposureSchema.index({ experimentId: 1, userId: 1 }, { unique: true });
+ExperimentExposureSchema.index({ experimentId: 1, variant: 1 });
+
+const ExperimentExposure = mongoose.model('ExperimentExposure', ExperimentExposureSchema);
+module.exports = ExperimentExposure;
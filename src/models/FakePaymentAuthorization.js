@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A hold placed by the fake payment provider. Stored so captures and voids
+// still work after a restart or from another app instance.
+const FakePaymentAuthorizationSchema = new mongoose.Schema({
+  authorizationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: String,
+  paymentMethod: String,
+  reference: String,
+  status: {
+    type: String,
+    enum: ['authorized', 'captured', 'voided', 'failed'],
+    default: 'authorized'
+  },
+  capturedAmount: Number,
+  transactionId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const FakePaymentAuthorization = mongoose.model('FakePaymentAuthorization', FakePaymentAuthorizationSchema);
+module.exports = FakePaymentAuthorization;
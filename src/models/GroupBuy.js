@@ -20,14 +20,51 @@ const GroupBuySchema = new mongoose.Schema({
     required: true,
     min: 2
   },
+  // Product price when the group started; discounts apply to this
+  unitPrice: {
+    type: Number
+  },
+  // Discount for the highest tier unlocked so far
   discountPercent: {
     type: Number,
     default: 0
   },
+  // Discount tiers, ascending by minParticipants. The first tier starts at threshold.
+  tiers: [{
+    _id: false,
+    minParticipants: {
+      type: Number,
+      required: true
+    },
+    discountPercent: {
+      type: Number,
+      required: true
+    }
+  }],
+  maxCapacity: {
+    type: Number,
+    required: true
+  },
+  // Set for products with a delivery radius; regionKey is 'global' otherwise
+  deliveryArea: {
+    regionKey: {
+      type: String,
+      default: 'global'
+    },
+    center: {
+      type: [Number],  // [longitude, latitude]
+      default: undefined
+    },
+    radiusKm: Number
+  },
   carbonSavingPercent: {
     type: Number,
     default: 15
   },
+  // Product.groupBuying.expiryDays when the group started, for analytics
+  expiryDays: {
+    type: Number
+  },
   expiryDate: {
     type: Date,
     required: true
@@ -40,6 +77,97 @@ const GroupBuySchema = new mongoose.Schema({
     joinedAt: {
       type: Date,
       default: Date.now
+    },
+    // Units of stock held for this participant until completion or release
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    reservationStatus: {
+      type: String,
+      enum: ['held', 'released', 'consumed'],
+      default: 'held'
+    },
+    // Authorized at join, captured when the group completes
+    payment: {
+      provider: String,
+      authorizationId: String,
+      authorizedAmount: Number,
+      capturedAmount: Number,
+      currency: String,
+      transactionId: String,
+      capturedAt: Date,
+      status: {
+        type: String,
+        enum: ['authorized', 'captured', 'voided', 'failed']
+      },
+      failureReason: String
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    // 'pending' from when the participant's stock is consumed until their
+    // order exists, so an order that fails to place is retried, not lost
+    orderStatus: {
+      type: String,
+      enum: ['pending', 'placed']
+    },
+    // Participant whose invite this participant joined through
+    referredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Carbon credit paid to referredBy once this participant's order was placed
+    referralCredit: Number,
+    referralCreditedAt: Date,
+    delivery: {
+      method: {
+        type: String,
+        enum: ['home', 'pickup']
+      },
+      addressId: mongoose.Schema.Types.ObjectId,
+      pickupPointId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PickupPoint'
+      },
+      postcode: String,
+      coordinates: [Number]  // [longitude, latitude]
+    }
+  }],
+  // Shareable invite codes, one per inviting participant. They stop
+  // working when the group closes.
+  invites: [{
+    _id: false,
+    code: {
+      type: String,
+      required: true
+    },
+    inviterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joins: {
+      type: Number,
+      default: 0
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Participants who left before the group closed
+  departures: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: Date,
+    leftAt: {
+      type: Date,
+      default: Date.now
     }
   }],
   status: {
@@ -47,9 +175,31 @@ const GroupBuySchema = new mongoose.Schema({
     enum: ['active', 'completed', 'expired', 'cancelled'],
     default: 'active'
   },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String
+  },
+  thresholdReachedAt: {
+    type: Date
+  },
+  // Set once the "closing soon" reminder has gone out
+  reminderSentAt: {
+    type: Date
+  },
   completedAt: {
     type: Date
   },
+  // Set once every participant of a completed group has been checked out
+  // or dropped
+  settledAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -58,8 +208,36 @@ const GroupBuySchema = new mongoose.Schema({
 
 // Index for efficient queries
 GroupBuySchema.index({ productId: 1, status: 1 });
+// At most one active group buy per product and delivery region
+GroupBuySchema.index(
+  { productId: 1, 'deliveryArea.regionKey': 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
 GroupBuySchema.index({ 'participants.userId': 1 });
+GroupBuySchema.index(
+  { 'invites.code': 1 },
+  { unique: true, partialFilterExpression: { 'invites.code': { $exists: true } } }
+);
+GroupBuySchema.index({ 'participants.referredBy': 1 });
 GroupBuySchema.index({ expiryDate: 1, status: 1 });
+GroupBuySchema.index({ status: 1, settledAt: 1, completedAt: 1 });
+// "Near me" discovery
+GroupBuySchema.index({ 'deliveryArea.center': '2dsphere' });
+
+// Discount for a participant count: the highest tier reached, or the first
+// tier's discount if the threshold hasn't been reached yet
+GroupBuySchema.methods.getDiscountForCount = function(count) {
+  if (this.tiers.length === 0) return this.discountPercent;
+  
+  const reached = this.tiers.filter(tier => count >= tier.minParticipants);
+  return reached.length > 0
+    ? reached[reached.length - 1].discountPercent
+    : this.tiers[0].discountPercent;
+};
+
+GroupBuySchema.methods.isFull = function() {
+  return this.participants.length >= this.maxCapacity;
+};
 
 const GroupBuy = mongoose.model('GroupBuy', GroupBuySchema);
 module.exports = GroupBuy;
\ No newline at end of file
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'view', 'search', 'cart_add', 'cart_remove', 'wishlist_add', 'wishlist_remove',
+  'packaging_select', 'group_buy_join'
+];
+
+// Events are behavioral signal, not records: they expire after this many days
+const TTL_DAYS = Number(process.env.INTERACTION_EVENT_TTL_DAYS) || 180;
+
+// A user's interaction with the shop, used by recommendations and analytics.
+// Purchases are read from Order; group buy membership from GroupBuy.
+const InteractionEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  // Required for everything except searches
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: function() {
+      return this.type !== 'search';
+    }
+  },
+  query: {
+    type: String,
+    maxlength: 200
+  },
+  packagingOptionId: mongoose.Schema.Types.ObjectId,
+  groupBuyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupBuy'
+  },
+  quantity: Number,
+  sessionId: String,
+  // Where the event came from, e.g. 'web', 'ios', 'server'
+  source: {
+    type: String,
+    default: 'web'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+InteractionEventSchema.index({ userId: 1, createdAt: -1 });
+InteractionEventSchema.index({ productId: 1, type: 1, createdAt: -1 });
+InteractionEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: TTL_DAYS * 24 * 60 * 60 });
+
+InteractionEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+const InteractionEvent = mongoose.model('InteractionEvent', InteractionEventSchema);
+module.exports = InteractionEvent;
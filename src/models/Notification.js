@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'group_buy_success', 'group_buy_expired', 'group_buy_threshold_reached',
+      'group_buy_tier_unlocked', 'group_buy_participant_left',
+      'group_buy_initiator_transferred', 'group_buy_cancelled', 'group_buy_payment_failed',
+      'group_buy_expiry_reminder', 'referral_credit_earned', 'badge_earned'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  },
+
+  // Delivery status per channel
+  deliveries: [{
+    channel: {
+      type: String,
+      enum: ['inApp', 'email', 'webhook']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: String,
+    deliveredAt: Date
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for inbox queries
+NotificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+module.exports = Notification;
\ No newline at end of file
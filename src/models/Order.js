@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const OrderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  products: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    unitPrice: {
+      type: Number,
+      required: true
+    },
+    ecoScore: Number,
+    carbonSaving: {
+      type: Number,  // kg CO2e saved for the whole line
+      default: 0
+    }
+  }],
+
+  // Packaging option selected at checkout (copied from Product.packagingOptions)
+  packaging: {
+    optionId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    ecoImpact: String,
+    carbonSaving: {
+      type: Number,
+      default: 0
+    },
+    additionalPrice: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Set for orders created when a group buy completes
+  groupBuy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupBuy'
+  },
+  payment: {
+    provider: String,
+    authorizationId: String,
+    transactionId: String,
+    amount: Number,
+    currency: String,
+    capturedAt: Date
+  },
+
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  totalCarbonSaving: {
+    type: Number,  // kg CO2e
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['placed', 'paid', 'shipped', 'delivered', 'cancelled'],
+    default: 'placed'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for dashboard aggregations and order history
+OrderSchema.index({ user: 1, createdAt: -1 });
+// One order per participant of a group buy
+OrderSchema.index(
+  { groupBuy: 1, user: 1 },
+  { unique: true, partialFilterExpression: { groupBuy: { $exists: true } } }
+);
+
+const Order = mongoose.model('Order', OrderSchema);
+module.exports = Order;
\ No newline at end of file
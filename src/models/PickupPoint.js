@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Collection point where a group's orders can be delivered together
+const PickupPointSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  address: {
+    line1: {
+      type: String,
+      required: true
+    },
+    line2: String,
+    city: {
+      type: String,
+      required: true
+    },
+    postcode: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    country: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    }
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],  // [longitude, latitude]
+      required: true
+    }
+  },
+  openingHours: String,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PickupPointSchema.index({ location: '2dsphere' });
+
+const PickupPoint = mongoose.model('PickupPoint', PickupPointSchema);
+module.exports = PickupPoint;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ModelEvents = require('../utils/modelEvents');
 
 const ProductSchema = new mongoose.Schema({
   name: {
@@ -26,6 +27,11 @@ const ProductSchema = new mongoose.Schema({
     default: 0
   },
   tags: [String],
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
   
   // Sustainability metrics
   sustainability: {
@@ -60,6 +66,16 @@ const ProductSchema = new mongoose.Schema({
       min: 1,
       max: 5,
       default: 1
+    },
+    // Scoring ruleset version that produced ecoScore (for audit/rollback)
+    rulesetName: {
+      type: String
+    },
+    rulesetVersion: {
+      type: Number
+    },
+    scoredAt: {
+      type: Date
     }
   },
   
@@ -73,7 +89,51 @@ const ProductSchema = new mongoose.Schema({
     type: String,
     default: 'Standard'
   },
-  certifications: [String],
+  certifications: [String],  // as declared by the seller
+  
+  // Schemes with an approved, unexpired Certification; only these are scored
+  verifiedCertifications: [String],
+  certificationFlags: [{
+    certificationId: mongoose.Schema.Types.ObjectId,
+    scheme: String,
+    certificateNumber: String,
+    reason: {
+      type: String,
+      enum: ['expired', 'revoked']
+    },
+    flaggedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Lifecycle inputs and the resulting footprint breakdown (kg CO2e)
+  lifecycle: {
+    billOfMaterials: [{
+      _id: false,
+      material: String,
+      massKg: Number
+    }],
+    manufacturing: {
+      energyKwh: Number,
+      region: String
+    },
+    transport: [{
+      _id: false,
+      mode: {
+        type: String,
+        enum: ['road', 'van', 'rail', 'sea', 'inland-water', 'air']
+      },
+      distanceKm: Number,
+      massKg: Number
+    }],
+    breakdown: {
+      materials: Number,
+      manufacturing: Number,
+      transport: Number
+    },
+    calculatedAt: Date
+  },
   
   // Packaging options (for checkout)
   packagingOptions: [{
@@ -108,10 +168,42 @@ const ProductSchema = new mongoose.Schema({
       type: Number,
       default: 10
     },
+    // Extra tiers beyond threshold, e.g. [{ minParticipants: 20, discountPercent: 15 }]
+    tiers: [{
+      _id: false,
+      minParticipants: Number,
+      discountPercent: Number
+    }],
+    // Most participants a single group accepts (defaults to the top tier)
+    maxCapacity: {
+      type: Number,
+      default: null
+    },
+    quantityPerParticipant: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    // Units taken out of stock for active group buys
+    reservedStock: {
+      type: Number,
+      default: 0
+    },
     expiryDays: {
       type: Number,
       default: 7
     },
+    // When set, each group only serves participants within this many km
+    // of where it started (or in the same postcode district)
+    deliveryRadiusKm: {
+      type: Number,
+      default: null
+    },
+    // Where group buy orders ship from, [longitude, latitude]
+    dispatchLocation: {
+      type: [Number],
+      default: undefined
+    },
     currentParticipants: {
       type: Number,
       default: 0
@@ -130,6 +222,8 @@ const ProductSchema = new mongoose.Schema({
 
 // Index for eco-score based queries
 ProductSchema.index({ 'sustainability.ecoScore': -1 });
+// Greener alternatives within a category, greenest first
+ProductSchema.index({ category: 1, 'sustainability.ecoScore': -1 });
 
 // Pre-save hook to update eco scores
 ProductSchema.pre('save', async function(next) {
@@ -140,5 +234,13 @@ ProductSchema.pre('save', async function(next) {
   next();
 });
 
+// Let in-memory caches know the product changed
+const emitChanged = doc => {
+  if (doc) ModelEvents.emit('product:changed', [doc._id]);
+};
+ProductSchema.post('save', emitChanged);
+ProductSchema.post('findOneAndUpdate', emitChanged);
+ProductSchema.post('findOneAndDelete', emitChanged);
+
 const Product = mongoose.model('Product', ProductSchema);
 module.exports = Product;
\ No newline at end of file
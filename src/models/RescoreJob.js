@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const RescoreJobSchema = new mongoose.Schema({
+  // Ruleset version is pinned when the job is created so that a ruleset
+  // activated mid-run doesn't mix two versions in one pass
+  rulesetName: {
+    type: String,
+    required: true
+  },
+  rulesetVersion: {
+    type: Number,
+    required: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  batchSize: {
+    type: Number,
+    default: 200,
+    min: 1,
+    max: 5000
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    changed: { type: Number, default: 0 }
+  },
+
+  // Resume point: products are processed in _id order
+  lastProcessedId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  error: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  heartbeatAt: {
+    type: Date
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RescoreJobSchema.index({ status: 1, heartbeatAt: 1 });
+
+const RescoreJob = mongoose.model('RescoreJob', RescoreJobSchema);
+module.exports = RescoreJob;
\ No newline at end of file
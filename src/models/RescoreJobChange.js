@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A product whose score or label changed (or would change, for a dry run)
+// in a rescore job. Kept out of the job document so a catalog-wide diff
+// can't outgrow it.
+const RescoreJobChangeSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RescoreJob',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: String,
+  before: {
+    ecoScore: Number,
+    ecoLabel: String,
+    rulesetVersion: Number
+  },
+  after: {
+    ecoScore: Number,
+    ecoLabel: String
+  },
+  ecoScoreDelta: Number,
+  // |ecoScoreDelta|, so the report can list the biggest changes first
+  magnitude: Number
+});
+
+// A repeated batch after a crash overwrites its rows instead of duplicating them
+RescoreJobChangeSchema.index({ jobId: 1, productId: 1 }, { unique: true });
+RescoreJobChangeSchema.index({ jobId: 1, magnitude: -1, _id: 1 });
+
+const RescoreJobChange = mongoose.model('RescoreJobChange', RescoreJobChangeSchema);
+module.exports = RescoreJobChange;
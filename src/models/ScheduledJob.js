@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One document per recurring job. The lock fields let several app
+// instances share the schedule without running a job twice.
+const ScheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  intervalMs: {
+    type: Number,
+    required: true,
+    min: 1000
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Held by the instance running the job; a lock past lockedUntil is
+  // treated as abandoned by a crashed instance
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  lastStartedAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  lastError: String,
+  lastResult: mongoose.Schema.Types.Mixed,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ScheduledJobSchema.index({ nextRunAt: 1, enabled: 1 });
+
+const ScheduledJob = mongoose.model('ScheduledJob', ScheduledJobSchema);
+module.exports = ScheduledJob;
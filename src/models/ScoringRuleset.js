@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+// Ordered keyword table: earlier entries win when several keywords match
+const KeywordScoreSchema = new mongoose.Schema({
+  keyword: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  }
+}, { _id: false });
+
+const ScoringRulesetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    default: 'default'
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'archived'],
+    default: 'draft'
+  },
+
+  weights: {
+    materials: { type: Number, required: true, min: 0, max: 1 },
+    packaging: { type: Number, required: true, min: 0, max: 1 },
+    production: { type: Number, required: true, min: 0, max: 1 },
+    carbonFootprint: { type: Number, required: true, min: 0, max: 1 },
+    certification: { type: Number, required: true, min: 0, max: 1 }
+  },
+
+  materialScores: [KeywordScoreSchema],
+  packagingScores: [KeywordScoreSchema],
+  productionScores: [KeywordScoreSchema],
+  certScores: [KeywordScoreSchema],
+
+  categoryBaselines: [{
+    _id: false,
+    category: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    footprint: {
+      type: Number,  // kg CO2e of the conventional equivalent
+      required: true,
+      min: 0
+    }
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One document per ruleset version
+ScoringRulesetSchema.index({ name: 1, version: 1 }, { unique: true });
+ScoringRulesetSchema.index({ name: 1, status: 1 });
+// At most one active version per ruleset name
+ScoringRulesetSchema.index(
+  { name: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+// Cross-field validation
+ScoringRulesetSchema.pre('validate', function(next) {
+  const weights = this.weights || {};
+  const weightSum = ['materials', 'packaging', 'production', 'carbonFootprint', 'certification']
+    .reduce((sum, key) => sum + (weights[key] || 0), 0);
+
+  if (Math.abs(weightSum - 1) > 0.001) {
+    this.invalidate('weights', `Weights must sum to 1 (got ${+weightSum.toFixed(3)})`);
+  }
+
+  ['materialScores', 'packagingScores', 'productionScores', 'certScores'].forEach(table => {
+    const entries = this[table] || [];
+
+    if (entries.length === 0) {
+      this.invalidate(table, `${table} must contain at least one keyword`);
+    }
+
+    const keywords = entries.map(entry => entry.keyword);
+    const duplicate = keywords.find((keyword, index) => keywords.indexOf(keyword) !== index);
+    if (duplicate) {
+      this.invalidate(table, `Duplicate keyword "${duplicate}" in ${table}`);
+    }
+  });
+
+  if (!(this.categoryBaselines || []).some(baseline => baseline.category === 'default')) {
+    this.invalidate('categoryBaselines', 'categoryBaselines must include a "default" entry');
+  }
+
+  next();
+});
+
+ScoringRulesetSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Convert to the plain rules object SustainabilityScoring consumes
+ScoringRulesetSchema.methods.toRules = function() {
+  const toTable = (entries, key, value) => entries.reduce((table, entry) => {
+    table[entry[key]] = entry[value];
+    return table;
+  }, {});
+
+  return {
+    name: this.name,
+    version: this.version,
+    weights: {
+      materials: this.weights.materials,
+      packaging: this.weights.packaging,
+      production: this.weights.production,
+      carbonFootprint: this.weights.carbonFootprint,
+      certification: this.weights.certification
+    },
+    materialScores: toTable(this.materialScores, 'keyword', 'score'),
+    packagingScores: toTable(this.packagingScores, 'keyword', 'score'),
+    productionScores: toTable(this.productionScores, 'keyword', 'score'),
+    certScores: toTable(this.certScores, 'keyword', 'score'),
+    categoryBaselines: toTable(this.categoryBaselines, 'category', 'footprint')
+  };
+};
+
+const ScoringRuleset = mongoose.model('ScoringRuleset', ScoringRulesetSchema);
+module.exports = ScoringRuleset;
\ No newline at end of file
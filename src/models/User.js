@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const ModelEvents = require('../utils/modelEvents');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -47,6 +48,57 @@ const UserSchema = new mongoose.Schema({
     }
   },
   
+  // Notification delivery settings
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    webhookUrl: {
+      type: String,
+      trim: true,
+      match: [/^https:\/\//i, 'Webhook URL must use https']
+    }
+  },
+  
+  // Delivery addresses; the default one is used for group buys unless
+  // another address or a pickup point is chosen
+  addresses: [{
+    label: String,
+    line1: {
+      type: String,
+      required: true
+    },
+    line2: String,
+    city: {
+      type: String,
+      required: true
+    },
+    postcode: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    country: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: [Number]  // [longitude, latitude]
+    },
+    isDefault: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  
   // Carbon footprint tracking
   carbonImpact: {
     totalSaved: {
@@ -63,6 +115,11 @@ const UserSchema = new mongoose.Schema({
       description: String,
       earnedAt: Date
     }],
+    // Part of totalSaved credited for friends who joined through your invites
+    referralCredits: {
+      type: Number,
+      default: 0
+    },
     treesEquivalent: {
       type: Number,
       default: 0
@@ -94,7 +151,7 @@ const UserSchema = new mongoose.Schema({
     joinedAt: Date,
     status: {
       type: String,
-      enum: ['active', 'completed', 'expired'],
+      enum: ['active', 'completed', 'expired', 'left', 'cancelled', 'payment_failed'],
       default: 'active'
     },
     potentialCarbonSaving: Number
@@ -120,6 +177,14 @@ UserSchema.pre('save', async function(next) {
   }
 });
 
+// Let in-memory caches know the user changed
+const emitChanged = doc => {
+  if (doc) ModelEvents.emit('user:changed', [doc._id]);
+};
+UserSchema.post('save', emitChanged);
+UserSchema.post('findOneAndUpdate', emitChanged);
+UserSchema.post('findOneAndDelete', emitChanged);
+
 // Compare password method
 UserSchema.methods.comparePassword = async function(candidatePassword) {
   try {
@@ -151,6 +216,24 @@ UserSchema.methods.updateCarbonMetrics = function() {
   this.checkAndAwardBadges();
 };
 
+// Add a carbon saving to the running total and its month's bucket
+UserSchema.methods.recordCarbonSaving = function(amount, date = new Date()) {
+  const month = date.getMonth() + 1;
+  const year = date.getFullYear();
+
+  const entry = this.carbonImpact.monthlySavings.find(
+    saving => saving.month === month && saving.year === year
+  );
+
+  if (entry) {
+    entry.amount = +(entry.amount + amount).toFixed(2);
+  } else {
+    this.carbonImpact.monthlySavings.push({ month, year, amount: +amount.toFixed(2) });
+  }
+
+  this.carbonImpact.totalSaved = +(this.carbonImpact.totalSaved + amount).toFixed(2);
+};
+
 // Award badges based on achievements
 UserSchema.methods.checkAndAwardBadges = function() {
   const badges = [];
@@ -0,0 +1,343 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const EmissionFactorService = require('./emissionFactorService');
+const GreenerAlternativesService = require('./greenerAlternativesService');
+const GroupBuyingService = require('./groupBuyingService');
+
+// Packaging saved for each parcel merged into a consolidated shipment
+const PACKAGING_PER_PARCEL_KG = 0.2;
+
+const toCents = amount => Math.round(amount * 100);
+
+/**
+ * Finds the combination of cart changes that saves the most CO2e within a
+ * price budget. Each cart line can be kept, swapped for a greener
+ * alternative or moved into an open group buy; the order can use one
+ * packaging option; and separate shipments can be consolidated.
+ */
+class CartOptimizerService {
+  /**
+   * @param {String} userId
+   * @param {Array} items - [{ productId, quantity }]
+   * @param {Object} options - { maxPriceIncrease, packagingOptionId, delivery }
+   * @return {Object} { maxPriceIncrease, plan: { changes, carbonSavedKg, cost }, suggestions }
+   */
+  async optimizeCart(userId, items, {
+    maxPriceIncrease = 0,
+    packagingOptionId = null,
+    delivery = {}
+  } = {}) {
+    try {
+      await EmissionFactorService.ensureLoaded();
+
+      const lines = await this.loadLines(items);
+      const [substitutions, groupBuys] = await Promise.all([
+        this.findSubstitutions(lines),
+        this.findGroupBuys(userId, lines, delivery)
+      ]);
+      const packaging = this.findPackagingChanges(lines, packagingOptionId);
+
+      // One choice group per line: keep it (no option), swap it or group-buy it
+      const lineGroups = lines.map((line, index) => [
+        ...substitutions[index],
+        ...groupBuys[index]
+      ]);
+
+      // A packaging option only applies while the product offering it stays
+      // in the cart, so solve once per packaging choice with its line kept
+      let best = this.solve(lineGroups, toCents(maxPriceIncrease));
+      packaging.forEach(option => {
+        const groups = lineGroups.map((group, index) => (index === option.lineIndex ? [] : group));
+        const plan = this.solve(groups, toCents(maxPriceIncrease) - option.costCents);
+        if (!plan) return;
+
+        const candidate = {
+          costCents: plan.costCents + option.costCents,
+          carbonSavedKg: plan.carbonSavedKg + option.carbonSavedKg,
+          picks: [...plan.picks, option]
+        };
+        if (!best || this.isBetter(candidate, best)) best = candidate;
+      });
+
+      // Consolidation costs nothing, so it is always part of the plan when possible
+      const consolidation = this.findConsolidation(lines, best.picks);
+      if (consolidation) {
+        best.picks.push(consolidation);
+        best.carbonSavedKg += consolidation.carbonSavedKg;
+      }
+
+      const selected = new Set(best.picks.map(pick => pick.id));
+      const all = [
+        ...substitutions.flat(),
+        ...groupBuys.flat(),
+        ...packaging,
+        ...(consolidation ? [consolidation] : [])
+      ];
+
+      return {
+        maxPriceIncrease,
+        plan: {
+          changes: best.picks.map(pick => this.format(pick, true)),
+          carbonSavedKg: +best.carbonSavedKg.toFixed(2),
+          cost: best.costCents / 100
+        },
+        suggestions: all
+          .map(suggestion => this.format(suggestion, selected.has(suggestion.id)))
+          .sort((a, b) => (b.selected - a.selected) || (b.carbonSavedKg - a.carbonSavedKg))
+      };
+    } catch (error) {
+      console.error('Error optimizing cart:', error);
+      throw error;
+    }
+  }
+
+  async loadLines(items) {
+    const ids = items.map(item => item.productId);
+    const valid = ids.every(id => mongoose.Types.ObjectId.isValid(id));
+    const products = valid ? await Product.find({ _id: { $in: ids } }) : [];
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+    return items.map((item, index) => {
+      const product = byId.get(String(item.productId));
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      return { index, product, quantity: item.quantity || 1 };
+    });
+  }
+
+  /**
+   * Greener alternatives for each line that actually cut CO2e
+   */
+  async findSubstitutions(lines) {
+    const results = await GreenerAlternativesService.findAlternativesForCart(
+      lines.map(line => ({ productId: line.product._id, quantity: line.quantity }))
+    );
+
+    return results.map((result, lineIndex) => result.alternatives
+      .filter(alternative => alternative.carbonSavedKg > 0)
+      .map(alternative => ({
+        id: `substitution:${lineIndex}:${alternative.product._id}`,
+        type: 'substitution',
+        lineIndex,
+        productId: lines[lineIndex].product._id,
+        description: `Swap "${lines[lineIndex].product.name}" for "${alternative.product.name}"`,
+        carbonSavedKg: alternative.carbonSavedKg,
+        costCents: toCents(alternative.priceDifference),
+        details: {
+          alternative: alternative.product,
+          ecoScoreDelta: alternative.ecoScoreDelta
+        }
+      })));
+  }
+
+  /**
+   * Open group buys the user could join instead of buying a line alone.
+   * The cost uses the group's starting-tier discount; higher tiers only
+   * make it cheaper.
+   */
+  async findGroupBuys(userId, lines, delivery) {
+    return Promise.all(lines.map(async (line, lineIndex) => {
+      const { product } = line;
+      // Without a known footprint there is no saving to weigh against the cost
+      const footprint = product.sustainability.carbonFootprint;
+      if (!product.groupBuying.enabled || typeof footprint !== 'number') return [];
+
+      let groupBuy;
+      try {
+        const destination = await GroupBuyingService.resolveDelivery(userId, product, delivery);
+        groupBuy = await GroupBuyingService.findGroupForDelivery(product, destination);
+      } catch (error) {
+        // No usable delivery location for this product's groups
+        return [];
+      }
+
+      if (!groupBuy || groupBuy.isFull() || GroupBuyingService.isParticipant(groupBuy, userId)) {
+        return [];
+      }
+
+      // A participant takes a fixed quantity; the rest of the line stays in the cart
+      const quantity = Math.min(line.quantity, product.groupBuying.quantityPerParticipant || 1);
+      const startingDiscount = groupBuy.tiers.length > 0
+        ? groupBuy.tiers[0].discountPercent
+        : groupBuy.discountPercent;
+      const basePrice = groupBuy.unitPrice || product.price;
+      const unitPrice = GroupBuyingService.discountedPrice(basePrice, startingDiscount);
+
+      return [{
+        id: `group_buy:${lineIndex}:${groupBuy._id}`,
+        type: 'group_buy',
+        lineIndex,
+        productId: product._id,
+        description: `Join the group buy for "${product.name}" ` +
+          `(${groupBuy.participants.length}/${groupBuy.threshold} participants)`,
+        carbonSavedKg: +(footprint * groupBuy.carbonSavingPercent / 100 * quantity).toFixed(2),
+        costCents: toCents((unitPrice - product.price) * quantity),
+        details: {
+          groupBuyId: groupBuy._id,
+          quantity,
+          discountPercent: startingDiscount,
+          expiryDate: groupBuy.expiryDate
+        }
+      }];
+    }));
+  }
+
+  /**
+   * Packaging options from the cart's products that save more than the
+   * currently selected one
+   */
+  findPackagingChanges(lines, currentOptionId) {
+    let current = null;
+    lines.forEach(line => {
+      if (currentOptionId && !current) current = line.product.packagingOptions.id(currentOptionId);
+    });
+
+    const currentSaving = current ? (current.carbonSaving || 0) : 0;
+    const currentPrice = current ? current.additionalPrice : 0;
+    const options = [];
+
+    lines.forEach((line, lineIndex) => {
+      line.product.packagingOptions.forEach(option => {
+        const carbonSavedKg = (option.carbonSaving || 0) - currentSaving;
+        if (carbonSavedKg <= 0) return;
+
+        options.push({
+          id: `packaging:${option._id}`,
+          type: 'packaging',
+          lineIndex,
+          productId: line.product._id,
+          description: `Use "${option.name}" packaging`,
+          carbonSavedKg: +carbonSavedKg.toFixed(2),
+          costCents: toCents(option.additionalPrice - currentPrice),
+          details: {
+            packagingOptionId: option._id,
+            ecoImpact: option.ecoImpact
+          }
+        });
+      });
+    });
+
+    return options;
+  }
+
+  /**
+   * Merge the parcels the plan's cart would ship separately (one per
+   * seller) into a single consolidated shipment. Only parcels the original
+   * cart would also have shipped count as saved: a substitute's own parcel
+   * was never part of the baseline.
+   */
+  findConsolidation(lines, picks) {
+    const pickFor = (line, type) => picks.find(pick => pick.type === type && pick.lineIndex === line.index);
+
+    const sellerOf = line => (line.product.seller || 'store').toString();
+    const originalShipments = new Set(lines.map(sellerOf)).size;
+
+    const shipments = new Set();
+    lines.forEach(line => {
+      // A line moved wholly into a group buy ships with the group instead
+      const groupBuy = pickFor(line, 'group_buy');
+      if (groupBuy && groupBuy.details.quantity >= line.quantity) return;
+
+      // Substitutes are usually sold by someone else, so they ship on their own
+      const seller = pickFor(line, 'substitution')
+        ? `substitute:${line.index}`
+        : sellerOf(line);
+      shipments.add(seller);
+    });
+
+    const merged = Math.min(shipments.size, originalShipments) - 1;
+    if (merged < 1) return null;
+
+    const parcelFactor = EmissionFactorService.getValue('shipment:parcel', 'shipment');
+    const consolidatedFactor = EmissionFactorService.getValue('shipment:consolidated-additional', 'shipment');
+
+    return {
+      id: 'consolidation',
+      type: 'consolidation',
+      lineIndex: null,
+      productId: null,
+      description: `Ship your ${shipments.size} parcels together in one delivery (may arrive later)`,
+      carbonSavedKg: +(merged * (parcelFactor - consolidatedFactor + PACKAGING_PER_PARCEL_KG)).toFixed(2),
+      costCents: 0,
+      details: { shipments: shipments.size, originalShipments }
+    };
+  }
+
+  /**
+   * Multiple-choice knapsack over the choice groups: at most one option per
+   * group, maximising kg saved with total cost within the budget. Only
+   * Pareto-optimal (cost, saving) states are kept, so costs stay exact.
+   * @return {Object} { costCents, carbonSavedKg, picks }, or null if even no change is over budget
+   */
+  solve(groups, budgetCents) {
+    // Cheapest any later groups could make the plan, for pruning
+    const remainingMin = new Array(groups.length + 1).fill(0);
+    for (let i = groups.length - 1; i >= 0; i--) {
+      const cheapest = Math.min(0, ...groups[i].map(option => option.costCents));
+      remainingMin[i] = remainingMin[i + 1] + cheapest;
+    }
+
+    let states = [{ costCents: 0, carbonSavedKg: 0, picks: [] }];
+
+    groups.forEach((group, i) => {
+      const next = [];
+
+      states.forEach(state => {
+        next.push(state);
+        group.forEach(option => {
+          const costCents = state.costCents + option.costCents;
+          if (costCents + remainingMin[i + 1] > budgetCents) return;
+
+          next.push({
+            costCents,
+            carbonSavedKg: state.carbonSavedKg + option.carbonSavedKg,
+            picks: [...state.picks, option]
+          });
+        });
+      });
+
+      states = this.paretoFront(next);
+    });
+
+    const affordable = states.filter(state => state.costCents <= budgetCents);
+    return affordable.reduce((best, state) => (!best || this.isBetter(state, best) ? state : best), null);
+  }
+
+  paretoFront(states) {
+    const sorted = states.slice().sort(
+      (a, b) => (a.costCents - b.costCents) || (b.carbonSavedKg - a.carbonSavedKg)
+    );
+    const front = [];
+
+    sorted.forEach(state => {
+      const last = front[front.length - 1];
+      if (!last || state.carbonSavedKg > last.carbonSavedKg + 1e-9) front.push(state);
+    });
+
+    return front;
+  }
+
+  // More CO2e saved wins; on a tie, the cheaper plan
+  isBetter(a, b) {
+    if (Math.abs(a.carbonSavedKg - b.carbonSavedKg) > 1e-9) return a.carbonSavedKg > b.carbonSavedKg;
+    return a.costCents < b.costCents;
+  }
+
+  format(suggestion, selected) {
+    return {
+      id: suggestion.id,
+      type: suggestion.type,
+      productId: suggestion.productId,
+      description: suggestion.description,
+      carbonSavedKg: suggestion.carbonSavedKg,
+      cost: suggestion.costCents / 100,
+      details: suggestion.details,
+      selected
+    };
+  }
+}
+
+module.exports = new CartOptimizerService();
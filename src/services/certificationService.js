@@ -0,0 +1,235 @@
+const Certification = require('../models/Certification');
+const Product = require('../models/Product');
+const SustainabilityScoring = require('../utils/sustainabilityScoring');
+const ScoringRulesetService = require('./scoringRulesetService');
+
+class CertificationService {
+  /**
+   * Register a certificate for a product. It counts toward the eco-score
+   * only once an admin approves it. Only the product's seller or an admin
+   * may submit one.
+   * @param {Object} options - { isAdmin }
+   */
+  async submitCertification(productId, userId, data, { isAdmin = false } = {}) {
+    try {
+      const product = await Product.findById(productId);
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const isSeller = product.seller && product.seller.toString() === userId.toString();
+      if (!isAdmin && !isSeller) {
+        throw new Error('Not authorized to certify this product');
+      }
+
+      // Only schemes the active ruleset knows how to score can be registered
+      const rules = await ScoringRulesetService.getRules();
+      const scheme = (data.scheme || '').toLowerCase().trim();
+      if (!Object.prototype.hasOwnProperty.call(rules.certScores, scheme)) {
+        throw new Error(`Unknown certification scheme "${data.scheme}"`);
+      }
+
+      const certification = new Certification({
+        productId,
+        submittedBy: userId,
+        scheme,
+        certifier: data.certifier,
+        certificateNumber: data.certificateNumber,
+        scope: data.scope,
+        validFrom: data.validFrom,
+        validUntil: data.validUntil,
+        evidenceDocument: data.evidenceDocument
+      });
+
+      return await certification.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('This certificate is already registered for the product');
+      }
+      console.error('Error submitting certification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a pending certification
+   */
+  async reviewCertification(certificationId, adminId, { approve, notes }) {
+    try {
+      const certification = await Certification.findById(certificationId);
+
+      if (!certification) {
+        throw new Error('Certification not found');
+      }
+
+      if (certification.status !== 'pending') {
+        throw new Error(`Cannot review a ${certification.status} certification`);
+      }
+
+      if (approve && certification.validUntil <= new Date()) {
+        throw new Error('Cannot approve an expired certification');
+      }
+
+      certification.status = approve ? 'approved' : 'rejected';
+      certification.reviewedBy = adminId;
+      certification.reviewedAt = new Date();
+      certification.reviewNotes = notes;
+      await certification.save();
+
+      await this.syncProductCertifications(certification.productId);
+      return certification;
+    } catch (error) {
+      console.error('Error reviewing certification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw a previously approved certification
+   */
+  async revokeCertification(certificationId, adminId, notes) {
+    try {
+      const certification = await Certification.findOneAndUpdate(
+        { _id: certificationId, status: 'approved' },
+        {
+          $set: {
+            status: 'revoked',
+            reviewedBy: adminId,
+            reviewedAt: new Date(),
+            reviewNotes: notes
+          }
+        },
+        { new: true }
+      );
+
+      if (!certification) {
+        throw new Error('Approved certification not found');
+      }
+
+      await this.flagProduct(certification, 'revoked');
+      await this.syncProductCertifications(certification.productId);
+      return certification;
+    } catch (error) {
+      console.error('Error revoking certification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark approved certifications past their validUntil as expired, flag
+   * them on their products and rescore those products.
+   * Run periodically by the scheduler (see scheduledJobs).
+   */
+  async flagExpiredCertifications(now = new Date()) {
+    try {
+      const expired = await Certification.find({
+        status: 'approved',
+        validUntil: { $lte: now }
+      });
+
+      const productIds = new Set();
+
+      for (const certification of expired) {
+        // Conditional update so concurrent sweeps flag each certificate once
+        const updated = await Certification.findOneAndUpdate(
+          { _id: certification._id, status: 'approved' },
+          { $set: { status: 'expired' } }
+        );
+        if (!updated) continue;
+
+        await this.flagProduct(certification, 'expired');
+        productIds.add(certification.productId.toString());
+      }
+
+      for (const productId of productIds) {
+        await this.syncProductCertifications(productId, now);
+      }
+
+      return productIds.size;
+    } catch (error) {
+      console.error('Error flagging expired certifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply approved certifications whose validity window has started since
+   * they were approved, and rescore their products.
+   * Run periodically by the scheduler (see scheduledJobs).
+   */
+  async activateStartedCertifications(now = new Date()) {
+    try {
+      const productIds = await Certification.distinct('productId', {
+        status: 'approved',
+        activatedAt: null,
+        validFrom: { $lte: now },
+        validUntil: { $gt: now }
+      });
+
+      for (const productId of productIds) {
+        await this.syncProductCertifications(productId, now);
+      }
+
+      return productIds.length;
+    } catch (error) {
+      console.error('Error activating certifications:', error);
+      throw error;
+    }
+  }
+
+  async flagProduct(certification, reason) {
+    await Product.findByIdAndUpdate(certification.productId, {
+      $push: {
+        certificationFlags: {
+          certificationId: certification._id,
+          scheme: certification.scheme,
+          certificateNumber: certification.certificateNumber,
+          reason,
+          flaggedAt: new Date()
+        }
+      }
+    });
+  }
+
+  /**
+   * Recompute a product's verified schemes and rescore it. Certificates
+   * counted for the first time are marked activated.
+   */
+  async syncProductCertifications(productId, now = new Date()) {
+    const product = await Product.findById(productId);
+    if (!product) return null;
+
+    const certifications = await Certification.find({ productId, status: 'approved' });
+    const verified = certifications.filter(certification => certification.isVerified(now));
+
+    product.verifiedCertifications = Array.from(new Set(
+      verified.map(certification => certification.scheme)
+    ));
+
+    const rules = await ScoringRulesetService.getRules();
+    product.sustainability = SustainabilityScoring.scoreProduct(product, rules);
+
+    const saved = await product.save();
+
+    await Certification.updateMany(
+      { _id: { $in: verified.map(certification => certification._id) }, activatedAt: null },
+      { $set: { activatedAt: now } }
+    );
+
+    return saved;
+  }
+
+  async getProductCertifications(productId) {
+    return Certification.find({ productId }).sort({ createdAt: -1 });
+  }
+
+  async getPendingCertifications(limit = 50) {
+    return Certification.find({ status: 'pending' })
+      .populate('productId', 'name category')
+      .sort({ createdAt: 1 })
+      .limit(limit);
+  }
+}
+
+module.exports = new CertificationService();
\ No newline at end of file
@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const SustainabilityScoring = require('../utils/sustainabilityScoring');
+const NotificationService = require('./notificationService');
+const ScoringRulesetService = require('./scoringRulesetService');
+const EmissionFactorService = require('./emissionFactorService');
+const InteractionEventService = require('./interactionEventService');
+const ExperimentService = require('./experimentService');
+
+class CheckoutService {
+  /**
+   * Place an order for a cart and record its carbon savings on the user.
+   * Stock, the order, purchase history and carbon metrics are written in a
+   * single transaction so a failed line leaves nothing half-applied.
+   *
+   * @param {String} userId - Buyer
+   * @param {Array} items - Cart lines as { productId, quantity }
+   * @param {String} packagingOptionId - _id of the selected Product.packagingOptions entry
+   * @return {Object} the saved order
+   */
+  async checkout(userId, items, packagingOptionId = null) {
+    if (!items || items.length === 0) {
+      throw new Error('Cart is empty');
+    }
+
+    // An omitted quantity means one; anything else must be a whole number of units
+    const invalidLine = items.find(item => item.quantity !== undefined &&
+      !(Number.isInteger(item.quantity) && item.quantity > 0));
+    if (invalidLine) {
+      throw new Error('Quantity must be a positive integer');
+    }
+
+    const rules = await ScoringRulesetService.getRules();
+    await EmissionFactorService.ensureLoaded();
+    const session = await mongoose.startSession();
+
+    try {
+      let order;
+      let newBadges = [];
+      let packagingProductId = null;
+
+      await session.withTransaction(async () => {
+        const user = await User.findById(userId).session(session);
+
+        if (!user) {
+          throw new Error('User not found');
+        }
+
+        const orderProducts = [];
+        let packaging = null;
+
+        for (const item of items) {
+          const quantity = item.quantity || 1;
+          const product = await this.reserveStock(item.productId, quantity, session);
+
+          orderProducts.push({
+            product: product._id,
+            name: product.name,
+            quantity,
+            unitPrice: product.price,
+            ecoScore: product.sustainability.ecoScore,
+            carbonSaving: this.calculateLineSaving(product, quantity, rules)
+          });
+
+          if (packagingOptionId && !packaging) {
+            packaging = product.packagingOptions.id(packagingOptionId);
+            if (packaging) packagingProductId = product._id;
+          }
+        }
+
+        if (packagingOptionId && !packaging) {
+          throw new Error('Packaging option not found for products in cart');
+        }
+
+        const subtotal = orderProducts.reduce(
+          (sum, line) => sum + line.unitPrice * line.quantity, 0
+        );
+        const packagingPrice = packaging ? packaging.additionalPrice : 0;
+        const packagingSaving = packaging ? (packaging.carbonSaving || 0) : 0;
+        const totalCarbonSaving = +(orderProducts.reduce(
+          (sum, line) => sum + line.carbonSaving, 0
+        ) + packagingSaving).toFixed(2);
+
+        [order] = await Order.create([{
+          user: user._id,
+          products: orderProducts,
+          packaging: packaging ? {
+            optionId: packaging._id,
+            name: packaging.name,
+            ecoImpact: packaging.ecoImpact,
+            carbonSaving: packagingSaving,
+            additionalPrice: packagingPrice
+          } : undefined,
+          subtotal: +subtotal.toFixed(2),
+          total: +(subtotal + packagingPrice).toFixed(2),
+          totalCarbonSaving
+        }], { session });
+
+        newBadges = this.recordPurchase(user, order);
+        await user.save({ session });
+      });
+
+      // Fire and forget: delivery retries must not hold up the order
+      if (newBadges.length > 0) {
+        NotificationService.sendBadgeNotifications(userId, newBadges);
+      }
+
+      if (packagingProductId) {
+        InteractionEventService.track(userId, {
+          type: 'packaging_select',
+          productId: packagingProductId,
+          packagingOptionId
+        }, { source: 'server' });
+      }
+
+      return order;
+    } catch (error) {
+      console.error('Error during checkout:', error);
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Packaging choices for a cart and which one checkout should preselect.
+   * The preselection policy comes from the user's experiment variant:
+   * 'none', 'lowest_carbon' or 'free_lowest_carbon' (best saving at no
+   * extra cost).
+   * @param {Array} items - [{ productId }]
+   * @return {Object} { options, defaultOptionId, experiment }
+   */
+  async getPackagingChoices(userId, items) {
+    const productIds = items.map(item => item.productId).filter(id => mongoose.Types.ObjectId.isValid(id));
+    const products = await Product.find({ _id: { $in: productIds } }).select('packagingOptions');
+
+    const options = [];
+    products.forEach(product => {
+      product.packagingOptions.forEach(option => {
+        options.push({
+          _id: option._id,
+          productId: product._id,
+          name: option.name,
+          description: option.description,
+          ecoImpact: option.ecoImpact,
+          carbonSaving: option.carbonSaving || 0,
+          additionalPrice: option.additionalPrice
+        });
+      });
+    });
+
+    const { params, assignment } = await ExperimentService.getParams('checkout_packaging', userId, {
+      expose: false
+    });
+
+    // Without a carbon-saving option every policy preselects nothing, so
+    // the user only sees their variant when there is one
+    if (options.some(option => option.carbonSaving > 0)) {
+      await ExperimentService.recordExposure('checkout_packaging', userId);
+    }
+
+    const eligible = params.packagingDefault === 'free_lowest_carbon'
+      ? options.filter(option => option.additionalPrice === 0)
+      : options;
+    const best = eligible
+      .filter(option => option.carbonSaving > 0)
+      .sort((a, b) => (b.carbonSaving - a.carbonSaving) || (a.additionalPrice - b.additionalPrice))[0];
+
+    return {
+      options,
+      defaultOptionId: params.packagingDefault !== 'none' && best ? best._id : null,
+      experiment: assignment
+    };
+  }
+
+  /**
+   * Create the order for a completed group buy participant. Stock was
+   * already reserved when they joined and payment has been captured, so
+   * this only records the order and the user's carbon savings.
+   * Calling it again for the same participant returns the existing order.
+   *
+   * @param {String} userId - Participant
+   * @param {Object} groupBuy - The completed GroupBuy
+   * @param {Object} product - The group buy's product
+   * @param {Object} options - { quantity, unitPrice, payment }
+   * @return {Object} the order
+   */
+  async placeGroupBuyOrder(userId, groupBuy, product, { quantity, unitPrice, payment = null }) {
+    const existing = await Order.findOne({ groupBuy: groupBuy._id, user: userId });
+    if (existing) return existing;
+
+    const rules = await ScoringRulesetService.getRules();
+    await EmissionFactorService.ensureLoaded();
+    const session = await mongoose.startSession();
+
+    try {
+      let order;
+      let newBadges = [];
+
+      await session.withTransaction(async () => {
+        const user = await User.findById(userId).session(session);
+
+        if (!user) {
+          throw new Error('User not found');
+        }
+
+        const line = {
+          product: product._id,
+          name: product.name,
+          quantity,
+          unitPrice,
+          ecoScore: product.sustainability.ecoScore,
+          carbonSaving: this.calculateLineSaving(product, quantity, rules)
+        };
+        const subtotal = +(unitPrice * quantity).toFixed(2);
+
+        [order] = await Order.create([{
+          user: user._id,
+          groupBuy: groupBuy._id,
+          products: [line],
+          subtotal,
+          total: subtotal,
+          totalCarbonSaving: line.carbonSaving,
+          status: payment ? 'paid' : 'placed',
+          payment: payment || undefined
+        }], { session });
+
+        newBadges = this.recordPurchase(user, order);
+        await user.save({ session });
+      });
+
+      if (newBadges.length > 0) {
+        NotificationService.sendBadgeNotifications(userId, newBadges);
+      }
+
+      return order;
+    } catch (error) {
+      if (error.code === 11000) {
+        return Order.findOne({ groupBuy: groupBuy._id, user: userId });
+      }
+      console.error('Error placing group buy order:', error);
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Add an order to the user's purchase history and carbon totals
+   * @return {Array} badges earned by this purchase
+   */
+  recordPurchase(user, order) {
+    user.purchaseHistory.push({
+      orderId: order._id,
+      date: order.createdAt,
+      products: order.products.map(line => ({
+        productId: line.product,
+        name: line.name,
+        ecoScore: line.ecoScore,
+        carbonSaving: line.carbonSaving
+      })),
+      totalCarbonSaving: order.totalCarbonSaving
+    });
+
+    const badgeCount = user.carbonImpact.badges.length;
+    user.recordCarbonSaving(order.totalCarbonSaving, order.createdAt);
+    user.updateCarbonMetrics();
+    return user.carbonImpact.badges.slice(badgeCount);
+  }
+
+  /**
+   * Atomically decrement stock, failing if not enough is left
+   */
+  async reserveStock(productId, quantity, session) {
+    const product = await Product.findOneAndUpdate(
+      { _id: productId, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity } },
+      { new: true, session }
+    );
+
+    if (!product) {
+      const exists = await Product.exists({ _id: productId }).session(session);
+      throw new Error(exists ? 'Insufficient stock' : 'Product not found');
+    }
+
+    return product;
+  }
+
+  /**
+   * Carbon saved by a cart line compared to the conventional equivalent
+   */
+  calculateLineSaving(product, quantity, rules) {
+    const saving = SustainabilityScoring.calculateCarbonSavings(
+      SustainabilityScoring.getScoringInput(product),
+      null,
+      rules
+    );
+
+    return +(saving * quantity).toFixed(2);
+  }
+}
+
+module.exports = new CheckoutService();
\ No newline at end of file
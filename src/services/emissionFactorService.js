@@ -0,0 +1,330 @@
+const EmissionFactor = require('../models/EmissionFactor');
+const builtinFactors = require('../data/emissionFactors.json');
+
+// Accepted unit spellings -> [canonical unit, multiplier to convert the value]
+const UNIT_ALIASES = {
+  'kg': ['kg', 1],
+  'g': ['kg', 1000],
+  't': ['kg', 0.001],
+  'tonne': ['kg', 0.001],
+  'kwh': ['kWh', 1],
+  'mwh': ['kWh', 0.001],
+  'tonne-km': ['tonne-km', 1],
+  'tkm': ['tonne-km', 1],
+  't-km': ['tonne-km', 1],
+  'kg-km': ['tonne-km', 1000],
+  'km': ['km', 1],
+  'shipment': ['shipment', 1],
+  'parcel': ['shipment', 1],
+  'item': ['item', 1],
+  'unit': ['item', 1]
+};
+
+// How long a process serves its cached factors before reloading them, so
+// imports made through another instance are picked up
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const CSV_COLUMNS = ['activity', 'unit', 'region', 'source', 'value', 'validFrom', 'validTo', 'notes'];
+
+class EmissionFactorService {
+  constructor() {
+    this.factors = this.normalizeBuiltin(builtinFactors);
+    this.loadPromise = null;
+    this.loadedAt = 0;
+    this.refreshing = null;
+  }
+
+  /**
+   * Load stored factors into the in-memory lookup cache. Built-in factors
+   * stay in the cache as a fallback; stored factors win over them.
+   */
+  async load() {
+    const stored = await EmissionFactor.find({}).lean();
+    this.factors = [...this.normalizeBuiltin(builtinFactors), ...stored];
+    this.loadedAt = Date.now();
+    return this.factors.length;
+  }
+
+  /**
+   * Load the cache on first use. Once it is older than CACHE_TTL_MS it is
+   * reloaded in the background while the current factors keep being served.
+   */
+  async ensureLoaded() {
+    if (this.loadedAt && Date.now() - this.loadedAt > CACHE_TTL_MS && !this.refreshing) {
+      this.refreshing = this.load()
+        .catch(error => console.error('Error reloading emission factors:', error))
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+
+    if (!this.loadPromise) {
+      this.loadPromise = this.load().catch(error => {
+        this.loadPromise = null;
+        throw error;
+      });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Look up the factor (kg CO2e per unit) for an activity. Prefers an exact
+   * region over GLOBAL, a stored factor over a built-in one, then the most
+   * recent validFrom. Synchronous: reads the cache filled by load().
+   * @param {String} activity - e.g. 'electricity:grid'
+   * @param {String} unit - canonical unit, e.g. 'kWh'
+   * @param {Object} options - { region, date, source }
+   * @return {Object|null} factor
+   */
+  getFactor(activity, unit, { region = 'GLOBAL', date = new Date(), source = null } = {}) {
+    const regionKey = (region || 'GLOBAL').toUpperCase();
+
+    const candidates = this.factors.filter(factor =>
+      factor.activity === activity &&
+      factor.unit === unit &&
+      (factor.region === regionKey || factor.region === 'GLOBAL') &&
+      (!source || factor.source === source) &&
+      this.isValidAt(factor, date)
+    );
+
+    if (candidates.length === 0) return null;
+
+    const rank = factor => [
+      factor.region === regionKey ? 1 : 0,
+      factor.source === 'builtin' ? 0 : 1,
+      new Date(factor.validFrom).getTime()
+    ];
+
+    return candidates.sort((a, b) => {
+      const rankA = rank(a);
+      const rankB = rank(b);
+      for (let i = 0; i < rankA.length; i++) {
+        if (rankA[i] !== rankB[i]) return rankB[i] - rankA[i];
+      }
+      return 0;
+    })[0];
+  }
+
+  /**
+   * Factor value, or the fallback if no factor is known
+   */
+  getValue(activity, unit, options = {}, fallback = null) {
+    const factor = this.getFactor(activity, unit, options);
+    return factor ? factor.value : fallback;
+  }
+
+  /**
+   * Distinct activity names with a given prefix that are valid at a date
+   */
+  listActivities(prefix, unit, date = new Date()) {
+    const activities = new Set();
+
+    this.factors.forEach(factor => {
+      if (factor.activity.startsWith(prefix) && factor.unit === unit && this.isValidAt(factor, date)) {
+        activities.add(factor.activity);
+      }
+    });
+
+    return Array.from(activities);
+  }
+
+  isValidAt(factor, date) {
+    const time = new Date(date).getTime();
+    const from = factor.validFrom ? new Date(factor.validFrom).getTime() : 0;
+    const to = factor.validTo ? new Date(factor.validTo).getTime() : Infinity;
+    return time >= from && time < to;
+  }
+
+  /**
+   * Query stored factors
+   */
+  async listFactors({ activity, region, source } = {}) {
+    const query = {};
+    if (activity) query.activity = new RegExp(`^${activity.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+    if (region) query.region = region.toUpperCase();
+    if (source) query.source = source;
+
+    return EmissionFactor.find(query).sort({ activity: 1, region: 1, validFrom: -1 });
+  }
+
+  /**
+   * Validate and upsert a batch of factors. Nothing is written unless every
+   * row is valid.
+   * @param {Array|String} data - Array of rows (JSON) or CSV text with a header row
+   * @param {Object} options - { format: 'json'|'csv', source, dryRun, userId }
+   * @return {Object} { valid, imported, errors }
+   */
+  async importFactors(data, { format = 'json', source = null, dryRun = false, userId = null } = {}) {
+    const rows = format === 'csv' ? this.parseCsv(data) : data;
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error('No emission factor rows to import');
+    }
+
+    const errors = [];
+    const documents = [];
+    const seen = new Set();
+
+    rows.forEach((row, index) => {
+      const rowNumber = format === 'csv' ? index + 2 : index + 1;  // CSV rows count the header
+      const { document, rowErrors } = this.normalizeRow(row, source);
+
+      if (rowErrors.length === 0) {
+        const validationError = new EmissionFactor(document).validateSync();
+        if (validationError) {
+          rowErrors.push(...Object.values(validationError.errors).map(err => err.message));
+        }
+      }
+
+      if (rowErrors.length === 0) {
+        const key = [document.activity, document.unit, document.region, document.source,
+          document.validFrom.getTime()].join('|');
+        if (seen.has(key)) {
+          rowErrors.push('Duplicate of an earlier row');
+        }
+        seen.add(key);
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push({ row: rowNumber, errors: rowErrors });
+      } else {
+        documents.push({ ...document, importedBy: userId });
+      }
+    });
+
+    if (errors.length > 0 || dryRun) {
+      return { valid: errors.length === 0, imported: 0, errors };
+    }
+
+    await EmissionFactor.bulkWrite(documents.map(document => ({
+      updateOne: {
+        filter: {
+          activity: document.activity,
+          unit: document.unit,
+          region: document.region,
+          source: document.source,
+          validFrom: document.validFrom
+        },
+        update: { $set: document },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    await this.load();
+    return { valid: true, imported: documents.length, errors };
+  }
+
+  /**
+   * Trim, type-convert and unit-normalize one import row
+   */
+  normalizeRow(row, defaultSource) {
+    const rowErrors = [];
+    const unitKey = String(row.unit || '').trim().toLowerCase();
+    const alias = UNIT_ALIASES[unitKey];
+
+    if (!alias) {
+      rowErrors.push(`Unknown unit "${row.unit}"`);
+    }
+
+    const rawValue = Number(row.value);
+    if (row.value === '' || row.value === undefined || Number.isNaN(rawValue)) {
+      rowErrors.push(`Invalid value "${row.value}"`);
+    }
+
+    const parseDate = (value, field) => {
+      if (value === undefined || value === null || value === '') return undefined;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        rowErrors.push(`Invalid ${field} "${value}"`);
+        return undefined;
+      }
+      return date;
+    };
+
+    const document = {
+      activity: String(row.activity || '').trim().toLowerCase(),
+      unit: alias ? alias[0] : row.unit,
+      region: String(row.region || 'GLOBAL').trim().toUpperCase(),
+      source: String(row.source || defaultSource || '').trim(),
+      value: alias ? +(rawValue * alias[1]).toPrecision(10) : rawValue,
+      validFrom: parseDate(row.validFrom, 'validFrom') || new Date(0),
+      validTo: parseDate(row.validTo, 'validTo') || null,
+      notes: row.notes || undefined
+    };
+
+    return { document, rowErrors };
+  }
+
+  /**
+   * Minimal RFC 4180 CSV parser: quoted fields, escaped quotes, CRLF
+   */
+  parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    const nonEmpty = records.filter(fields => fields.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const header = nonEmpty[0].map(column => column.trim());
+    const missing = ['activity', 'unit', 'value'].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`CSV is missing required column(s): ${missing.join(', ')}`);
+    }
+
+    const unknown = header.filter(column => !CSV_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      throw new Error(`CSV has unknown column(s): ${unknown.join(', ')}`);
+    }
+
+    return nonEmpty.slice(1).map(fields => header.reduce((row, column, index) => {
+      row[column] = fields[index] !== undefined ? fields[index].trim() : '';
+      return row;
+    }, {}));
+  }
+
+  normalizeBuiltin(factors) {
+    return factors.map(factor => ({
+      region: 'GLOBAL',
+      validFrom: new Date(0),
+      validTo: null,
+      ...factor
+    }));
+  }
+}
+
+module.exports = new EmissionFactorService();
\ No newline at end of file
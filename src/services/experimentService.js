@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Experiment = require('../models/Experiment');
+const ExperimentExposure = require('../models/ExperimentExposure');
+const Order = require('../models/Order');
+
+// Parameters each surface reads, with the values used outside experiments
+const SURFACE_DEFAULTS = {
+  recommendations: { sustainabilityWeight: 0.7, diversity: 0.7 },
+  // null keeps the product's own group buying settings
+  group_buy: { expiryDays: null },
+  checkout_packaging: { packagingDefault: 'none' }
+};
+
+const PACKAGING_DEFAULTS = ['none', 'lowest_carbon', 'free_lowest_carbon'];
+
+// How long the running experiment per surface is cached
+const CACHE_TTL_MS = 30 * 1000;
+
+const unitInterval = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+// Validators for variant params, per surface
+const PARAM_RULES = {
+  sustainabilityWeight: unitInterval,
+  diversity: unitInterval,
+  expiryDays: value => value === null || (Number.isInteger(value) && value >= 1 && value <= 30),
+  packagingDefault: value => PACKAGING_DEFAULTS.includes(value)
+};
+
+/**
+ * A/B experiments. Users are bucketed deterministically from a hash of the
+ * experiment's salt and their id, so they keep their variant across
+ * requests and instances without storing assignments. An exposure is
+ * logged when a surface shows an enrolled user something their variant's
+ * parameters decide; results compare what exposed users did afterwards.
+ */
+class ExperimentService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Create a draft experiment
+   * @param {Object} data - { key, description, surface, trafficPercent, variants: [{ key, weight, params }] }
+   */
+  async createExperiment(data, userId) {
+    try {
+      this.validateDefinition(data);
+
+      const experiment = new Experiment({
+        key: data.key,
+        description: data.description,
+        surface: data.surface,
+        trafficPercent: data.trafficPercent,
+        variants: data.variants.map(variant => ({
+          key: variant.key,
+          weight: variant.weight,
+          params: variant.params || {}
+        })),
+        salt: crypto.randomBytes(8).toString('hex'),
+        createdBy: userId
+      });
+
+      return await experiment.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(`Experiment "${data.key}" already exists`);
+      }
+      console.error('Error creating experiment:', error);
+      throw error;
+    }
+  }
+
+  validateDefinition({ surface, variants, trafficPercent }) {
+    if (!SURFACE_DEFAULTS[surface]) {
+      throw new Error(`Unknown experiment surface "${surface}"`);
+    }
+
+    if (trafficPercent !== undefined && !(trafficPercent >= 0 && trafficPercent <= 100)) {
+      throw new Error('Invalid trafficPercent: must be between 0 and 100');
+    }
+
+    if (!Array.isArray(variants) || variants.length < 2) {
+      throw new Error('Invalid variants: an experiment needs at least two');
+    }
+
+    const keys = new Set(variants.map(variant => variant.key));
+    if (keys.size !== variants.length || keys.has(undefined)) {
+      throw new Error('Invalid variants: each needs a unique key');
+    }
+
+    const totalWeight = variants.reduce((sum, variant) => sum + (Number(variant.weight) || 0), 0);
+    if (Math.abs(totalWeight - 100) > 1e-6) {
+      throw new Error(`Invalid variants: weights add up to ${totalWeight}, not 100`);
+    }
+
+    variants.forEach(variant => {
+      Object.entries(variant.params || {}).forEach(([name, value]) => {
+        if (!Object.prototype.hasOwnProperty.call(SURFACE_DEFAULTS[surface], name)) {
+          throw new Error(`Invalid params for variant "${variant.key}": ${surface} has no "${name}" parameter`);
+        }
+        if (!PARAM_RULES[name](value)) {
+          throw new Error(`Invalid params for variant "${variant.key}": bad value for "${name}"`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Move an experiment between draft, running, paused and completed
+   */
+  async setStatus(experimentId, status) {
+    const allowed = {
+      running: ['draft', 'paused'],
+      paused: ['running'],
+      completed: ['running', 'paused']
+    };
+
+    try {
+      if (!allowed[status]) {
+        throw new Error(`Invalid status "${status}"`);
+      }
+
+      const now = new Date();
+      const update = status === 'running'
+        // Keep the original start when resuming a paused experiment
+        ? { $set: { status }, $min: { startedAt: now } }
+        : { $set: status === 'completed' ? { status, endedAt: now } : { status } };
+
+      const experiment = await Experiment.findOneAndUpdate(
+        { _id: experimentId, status: { $in: allowed[status] } },
+        update,
+        { new: true }
+      );
+
+      if (!experiment) {
+        const existing = await Experiment.findById(experimentId);
+        if (!existing) throw new Error('Experiment not found');
+        throw new Error(`Cannot move a ${existing.status} experiment to ${status}`);
+      }
+
+      this.cache.delete(experiment.surface);
+      return experiment;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Cannot start: another experiment is already running on this surface');
+      }
+      console.error('Error updating experiment status:', error);
+      throw error;
+    }
+  }
+
+  async listExperiments({ status = null } = {}) {
+    const query = status ? { status } : {};
+    return Experiment.find(query).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Parameters for a surface as this user should see them: the defaults,
+   * overridden by their variant when a running experiment enrols them.
+   * Logs the exposure unless `expose` is false, for surfaces that only know
+   * afterwards whether the parameters were used (see recordExposure).
+   * @param {Object} options - { expose }
+   * @return {Object} { params, assignment: { experimentKey, variant } or null }
+   */
+  async getParams(surface, userId, { expose = true } = {}) {
+    const defaults = SURFACE_DEFAULTS[surface];
+    const experiment = userId ? await this.getRunningExperiment(surface) : null;
+    const variant = experiment ? this.assign(experiment, userId) : null;
+
+    if (!variant) {
+      return { params: { ...defaults }, assignment: null };
+    }
+
+    if (expose) this.logExposure(experiment, userId, variant.key);
+
+    return {
+      params: { ...defaults, ...variant.params },
+      assignment: { experimentKey: experiment.key, variant: variant.key }
+    };
+  }
+
+  /**
+   * Log an exposure for parameters read with `expose: false`, once the
+   * surface has used them. Whether to call this must not depend on the
+   * variant, or the exposed groups stop being comparable.
+   */
+  async recordExposure(surface, userId) {
+    const experiment = userId ? await this.getRunningExperiment(surface) : null;
+    const variant = experiment ? this.assign(experiment, userId) : null;
+
+    if (variant) this.logExposure(experiment, userId, variant.key);
+  }
+
+  async getRunningExperiment(surface) {
+    const cached = this.cache.get(surface);
+    if (cached && cached.expiresAt > Date.now()) return cached.experiment;
+
+    try {
+      const experiment = await Experiment.findOne({ surface, status: 'running' }).lean();
+      this.cache.set(surface, { experiment, expiresAt: Date.now() + CACHE_TTL_MS });
+      return experiment;
+    } catch (error) {
+      // Experiments must never break the surface they run on
+      console.error('Error loading running experiment:', error);
+      return null;
+    }
+  }
+
+  /**
+   * The user's variant, or null if they fall outside the experiment's traffic.
+   * Enrolment and variant use independent hashes, so changing trafficPercent
+   * doesn't move enrolled users between variants.
+   */
+  assign(experiment, userId) {
+    if (this.bucket(experiment.salt, userId, 'traffic') >= experiment.trafficPercent) {
+      return null;
+    }
+
+    const point = this.bucket(experiment.salt, userId, 'variant');
+    let cumulative = 0;
+
+    for (const variant of experiment.variants) {
+      cumulative += variant.weight;
+      if (point < cumulative) return variant;
+    }
+
+    return experiment.variants[experiment.variants.length - 1];
+  }
+
+  /**
+   * Stable position of a user in [0, 100)
+   */
+  bucket(salt, userId, purpose) {
+    const hash = crypto.createHash('sha256').update(`${salt}:${purpose}:${userId}`).digest();
+    return hash.readUInt32BE(0) / 0x100000000 * 100;
+  }
+
+  logExposure(experiment, userId, variant) {
+    const now = new Date();
+
+    ExperimentExposure.updateOne(
+      { experimentId: experiment._id, userId },
+      {
+        $setOnInsert: { variant, firstExposedAt: now },
+        $set: { lastExposedAt: now },
+        $inc: { exposures: 1 }
+      },
+      { upsert: true }
+    ).catch(error => {
+      // Two first exposures can race on the upsert; one insert wins
+      if (error.code !== 11000) {
+        console.error('Error logging experiment exposure:', error);
+      }
+    });
+  }
+
+  /**
+   * Conversion and carbon savings per variant. A user converts if they
+   * placed an order after their first exposure (and before the experiment
+   * ended); carbon is the kg CO2e saved by those orders.
+   */
+  async getResults(experimentId) {
+    try {
+      const experiment = mongoose.Types.ObjectId.isValid(experimentId)
+        ? await Experiment.findById(experimentId)
+        : null;
+
+      if (!experiment) {
+        throw new Error('Experiment not found');
+      }
+
+      const orderConditions = [
+        { $eq: ['$user', '$$userId'] },
+        { $gte: ['$createdAt', '$$since'] },
+        { $ne: ['$status', 'cancelled'] }
+      ];
+      if (experiment.endedAt) {
+        orderConditions.push({ $lte: ['$createdAt', experiment.endedAt] });
+      }
+
+      const rows = await ExperimentExposure.aggregate([
+        { $match: { experimentId: experiment._id } },
+        {
+          $lookup: {
+            from: Order.collection.name,
+            let: { userId: '$userId', since: '$firstExposedAt' },
+            pipeline: [
+              { $match: { $expr: { $and: orderConditions } } },
+              {
+                $group: {
+                  _id: null,
+                  orders: { $sum: 1 },
+                  revenue: { $sum: '$total' },
+                  carbonSaved: { $sum: '$totalCarbonSaving' }
+                }
+              }
+            ],
+            as: 'outcome'
+          }
+        },
+        { $unwind: { path: '$outcome', preserveNullAndEmptyArrays: true } },
+        {
+          $group: {
+            _id: '$variant',
+            users: { $sum: 1 },
+            converted: { $sum: { $cond: [{ $gt: ['$outcome.orders', 0] }, 1, 0] } },
+            orders: { $sum: { $ifNull: ['$outcome.orders', 0] } },
+            revenue: { $sum: { $ifNull: ['$outcome.revenue', 0] } },
+            carbonSavedKg: { $sum: { $ifNull: ['$outcome.carbonSaved', 0] } }
+          }
+        }
+      ]);
+
+      const byVariant = new Map(rows.map(row => [row._id, row]));
+      const variants = experiment.variants.map(variant => this.summarize(variant, byVariant.get(variant.key)));
+
+      // The first variant is the control the others are compared with
+      const control = variants[0];
+      variants.slice(1).forEach(variant => {
+        variant.conversionLift = control.conversionRate > 0
+          ? +((variant.conversionRate - control.conversionRate) / control.conversionRate).toFixed(4)
+          : null;
+        variant.carbonPerUserLift = control.carbonSavedPerUser > 0
+          ? +((variant.carbonSavedPerUser - control.carbonSavedPerUser) / control.carbonSavedPerUser).toFixed(4)
+          : null;
+      });
+
+      return {
+        experimentId: experiment._id,
+        key: experiment.key,
+        surface: experiment.surface,
+        status: experiment.status,
+        startedAt: experiment.startedAt,
+        endedAt: experiment.endedAt,
+        variants
+      };
+    } catch (error) {
+      console.error('Error fetching experiment results:', error);
+      throw error;
+    }
+  }
+
+  summarize(variant, row = null) {
+    const users = row ? row.users : 0;
+    const converted = row ? row.converted : 0;
+    const carbonSavedKg = row ? row.carbonSavedKg : 0;
+
+    return {
+      variant: variant.key,
+      weight: variant.weight,
+      params: variant.params,
+      exposedUsers: users,
+      convertedUsers: converted,
+      conversionRate: users > 0 ? +(converted / users).toFixed(4) : 0,
+      orders: row ? row.orders : 0,
+      revenue: row ? +row.revenue.toFixed(2) : 0,
+      carbonSavedKg: +carbonSavedKg.toFixed(2),
+      carbonSavedPerUser: users > 0 ? +(carbonSavedKg / users).toFixed(3) : 0
+    };
+  }
+}
+
+module.exports = new ExperimentService();
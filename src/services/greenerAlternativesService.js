@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const SustainabilityScoring = require('../utils/sustainabilityScoring');
+
+// Alternatives may cost this much more or less than the original (fraction of its price)
+const DEFAULT_PRICE_BAND = 0.3;
+// Minimum tag/material overlap for an alternative to count as a substitute
+const DEFAULT_MIN_SIMILARITY = 0.2;
+// Most products considered per lookup
+const MAX_CANDIDATES = 200;
+
+const ALTERNATIVE_FIELDS = 'name price images category tags materials stock sustainability';
+
+const jaccard = (a = [], b = []) => {
+  const setA = new Set(a.map(value => value.toLowerCase()));
+  const setB = new Set(b.map(value => value.toLowerCase()));
+  const union = new Set([...setA, ...setB]).size;
+  if (union === 0) return 0;
+
+  let shared = 0;
+  setA.forEach(value => {
+    if (setB.has(value)) shared++;
+  });
+  return shared / union;
+};
+
+/**
+ * Suggests greener substitutes for a product: same category, similar tags,
+ * materials and price, but a better eco-score or a lower footprint. Purely
+ * rule-based, so it works with or without a trained recommendation model.
+ */
+class GreenerAlternativesService {
+  /**
+   * Greener alternatives for one product, best first
+   * @param {String} productId
+   * @param {Object} options - { limit, priceBand, minSimilarity }
+   * @return {Object} { product, alternatives: [{ product, similarity, ecoScoreDelta, carbonSavedKg, priceDifference, priceDifferencePercent }] }
+   */
+  async findAlternatives(productId, {
+    limit = 5,
+    priceBand = DEFAULT_PRICE_BAND,
+    minSimilarity = DEFAULT_MIN_SIMILARITY
+  } = {}) {
+    try {
+      const product = mongoose.Types.ObjectId.isValid(productId)
+        ? await Product.findById(productId).select(ALTERNATIVE_FIELDS).lean()
+        : null;
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const candidates = await this.findCandidates(product, priceBand);
+
+      const alternatives = candidates
+        .map(candidate => this.compare(product, candidate))
+        .filter(alternative => this.hasFeatures(product) ? alternative.similarity >= minSimilarity : true)
+        .sort((a, b) => b.rank - a.rank)
+        .slice(0, limit)
+        .map(({ rank, ...alternative }) => alternative);
+
+      return { product: this.summarize(product), alternatives };
+    } catch (error) {
+      console.error('Error finding greener alternatives:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Alternatives for each cart line, with carbon savings scaled to the
+   * line's quantity
+   * @param {Array} items - [{ productId, quantity }]
+   * @return {Array} [{ productId, quantity, alternatives }]
+   */
+  async findAlternativesForCart(items, options = {}) {
+    const results = [];
+
+    for (const item of items) {
+      const quantity = item.quantity || 1;
+      const { alternatives } = await this.findAlternatives(item.productId, options);
+
+      results.push({
+        productId: item.productId,
+        quantity,
+        alternatives: alternatives.map(alternative => ({
+          ...alternative,
+          carbonSavedKg: alternative.carbonSavedKg !== null
+            ? +(alternative.carbonSavedKg * quantity).toFixed(2)
+            : null,
+          priceDifference: +(alternative.priceDifference * quantity).toFixed(2)
+        }))
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * In-stock products in the same category and price band that beat the
+   * product on eco-score or footprint
+   */
+  async findCandidates(product, priceBand) {
+    const { ecoScore, carbonFootprint } = product.sustainability;
+    const better = [{ 'sustainability.ecoScore': { $gt: ecoScore } }];
+
+    if (carbonFootprint !== null && carbonFootprint !== undefined) {
+      better.push({ 'sustainability.carbonFootprint': { $ne: null, $lt: carbonFootprint } });
+    }
+
+    return Product.find({
+      _id: { $ne: product._id },
+      category: product.category,
+      stock: { $gt: 0 },
+      price: {
+        $gte: product.price * (1 - priceBand),
+        $lte: product.price * (1 + priceBand)
+      },
+      $or: better
+    })
+      .select(ALTERNATIVE_FIELDS)
+      // Greenest first, so a capped lookup keeps the strongest alternatives
+      .sort({ 'sustainability.ecoScore': -1, 'sustainability.carbonFootprint': 1, _id: 1 })
+      .limit(MAX_CANDIDATES)
+      .lean();
+  }
+
+  compare(product, candidate) {
+    const similarity = 0.6 * jaccard(product.tags, candidate.tags) +
+      0.4 * jaccard(product.materials, candidate.materials);
+    const ecoScoreDelta = candidate.sustainability.ecoScore - product.sustainability.ecoScore;
+
+    // The original's footprint is the baseline the swap is measured against
+    const baseline = product.sustainability.carbonFootprint;
+    const carbonSavedKg = baseline && typeof candidate.sustainability.carbonFootprint === 'number'
+      ? +SustainabilityScoring.calculateCarbonSavings(
+        SustainabilityScoring.getScoringInput(candidate),
+        baseline
+      ).toFixed(2)
+      : null;
+
+    const priceDifference = +(candidate.price - product.price).toFixed(2);
+
+    return {
+      product: this.summarize(candidate),
+      similarity: +similarity.toFixed(3),
+      ecoScoreDelta: +ecoScoreDelta.toFixed(2),
+      carbonSavedKg,
+      priceDifference,
+      priceDifferencePercent: product.price > 0 ? +(priceDifference / product.price * 100).toFixed(1) : null,
+      rank: 0.4 * similarity +
+        0.3 * Math.max(0, ecoScoreDelta) / 4 +
+        0.3 * (carbonSavedKg ? carbonSavedKg / baseline : 0)
+    };
+  }
+
+  hasFeatures(product) {
+    return (product.tags || []).length > 0 || (product.materials || []).length > 0;
+  }
+
+  summarize(product) {
+    return {
+      _id: product._id,
+      name: product.name,
+      price: product.price,
+      category: product.category,
+      images: product.images,
+      ecoScore: product.sustainability.ecoScore,
+      ecoLabel: product.sustainability.ecoLabel,
+      carbonFootprint: product.sustainability.carbonFootprint
+    };
+  }
+}
+
+module.exports = new GreenerAlternativesService();
@@ -0,0 +1,234 @@
+const GroupBuy = require('../models/GroupBuy');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const round = (value, digits = 2) => (value === null ? null : +value.toFixed(digits));
+
+/**
+ * Seller analytics over closed group buys: how each threshold / discount /
+ * expiry configuration performed, and which one to use next.
+ */
+class GroupBuyAnalyticsService {
+  /**
+   * Outcomes for a product's closed group buys, overall and per configuration
+   * @param {String} productId
+   * @param {Object} options - { since } only groups started on or after this date
+   */
+  async getProductAnalytics(productId, { since = null } = {}) {
+    try {
+      const product = await Product.findById(productId).select('name category groupBuying');
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const outcomes = await this.getOutcomes({ productId: product._id }, since);
+      const activeCount = await GroupBuy.countDocuments({ productId: product._id, status: 'active' });
+
+      return {
+        productId: product._id,
+        productName: product.name,
+        currentConfiguration: this.getProductConfiguration(product),
+        activeGroupBuys: activeCount,
+        summary: this.summarize(outcomes),
+        byConfiguration: this.groupByConfiguration(outcomes)
+      };
+    } catch (error) {
+      console.error('Error fetching group buy analytics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recommend the threshold / expiry combination with the best historical
+   * completion rate. Rates are smoothed (Laplace) so a configuration tried
+   * once doesn't win on a lucky 100%. Falls back to the product's category
+   * when the product itself has too little history.
+   * @param {Object} options - { minSamples, since }
+   */
+  async recommendConfiguration(productId, { minSamples = 3, since = null } = {}) {
+    try {
+      const product = await Product.findById(productId).select('name category groupBuying');
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      let scope = 'product';
+      let configurations = this.groupByConfiguration(
+        await this.getOutcomes({ productId: product._id }, since)
+      ).filter(configuration => configuration.groups >= minSamples);
+
+      if (configurations.length === 0) {
+        const categoryProducts = await Product.find({ category: product.category }).select('_id');
+
+        scope = 'category';
+        configurations = this.groupByConfiguration(
+          await this.getOutcomes({ productId: { $in: categoryProducts.map(item => item._id) } }, since)
+        ).filter(configuration => configuration.groups >= minSamples);
+      }
+
+      const current = this.getProductConfiguration(product);
+
+      if (configurations.length === 0) {
+        return {
+          productId: product._id,
+          currentConfiguration: current,
+          recommendation: null,
+          reason: `Not enough closed group buys yet (need ${minSamples} per configuration)`
+        };
+      }
+
+      const ranked = configurations
+        .map(configuration => ({
+          ...configuration,
+          score: (configuration.completed + 1) / (configuration.groups + 2)
+        }))
+        .sort((a, b) => (b.score - a.score) ||
+          (b.revenuePerGroup - a.revenuePerGroup) ||
+          ((a.avgHoursToThreshold || Infinity) - (b.avgHoursToThreshold || Infinity)));
+
+      const best = ranked[0];
+
+      return {
+        productId: product._id,
+        scope,
+        currentConfiguration: current,
+        recommendation: {
+          threshold: best.threshold,
+          expiryDays: best.expiryDays,
+          discountPercent: best.discountPercent,
+          completionRate: best.completionRate,
+          sampleSize: best.groups
+        },
+        isCurrent: best.threshold === current.threshold &&
+          best.expiryDays === current.expiryDays &&
+          best.discountPercent === current.discountPercent,
+        alternatives: ranked.slice(1, 4).map(configuration => ({
+          threshold: configuration.threshold,
+          expiryDays: configuration.expiryDays,
+          discountPercent: configuration.discountPercent,
+          completionRate: configuration.completionRate,
+          sampleSize: configuration.groups
+        }))
+      };
+    } catch (error) {
+      console.error('Error recommending group buy configuration:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * One record per closed group buy with its configuration and results
+   */
+  async getOutcomes(match, since) {
+    const query = { ...match, status: { $in: ['completed', 'expired', 'cancelled'] } };
+    if (since) query.createdAt = { $gte: since };
+
+    const groups = await GroupBuy.find(query)
+      .select('threshold discountPercent tiers expiryDays expiryDate participants.userId departures status createdAt thresholdReachedAt completedAt')
+      .lean();
+
+    const orderTotals = await Order.aggregate([
+      { $match: { groupBuy: { $in: groups.map(groupBuy => groupBuy._id) }, status: { $ne: 'cancelled' } } },
+      {
+        $group: {
+          _id: '$groupBuy',
+          revenue: { $sum: '$total' },
+          carbonSaved: { $sum: '$totalCarbonSaving' }
+        }
+      }
+    ]);
+    const totalsByGroup = new Map(orderTotals.map(totals => [totals._id.toString(), totals]));
+
+    return groups.map(groupBuy => {
+      const totals = totalsByGroup.get(groupBuy._id.toString()) || { revenue: 0, carbonSaved: 0 };
+      const departures = (groupBuy.departures || []).length;
+
+      return {
+        threshold: groupBuy.threshold,
+        // The starting discount is what the seller configured
+        discountPercent: groupBuy.tiers && groupBuy.tiers.length > 0
+          ? groupBuy.tiers[0].discountPercent
+          : groupBuy.discountPercent,
+        expiryDays: groupBuy.expiryDays ||
+          Math.round((groupBuy.expiryDate - groupBuy.createdAt) / DAY_MS),
+        status: groupBuy.status,
+        participants: groupBuy.participants.length,
+        departures,
+        hoursToThreshold: groupBuy.thresholdReachedAt
+          ? (groupBuy.thresholdReachedAt - groupBuy.createdAt) / HOUR_MS
+          : null,
+        revenue: totals.revenue,
+        carbonSaved: totals.carbonSaved
+      };
+    });
+  }
+
+  /**
+   * Aggregate outcomes: completion, speed, drop-off, revenue and carbon
+   */
+  summarize(outcomes) {
+    const groups = outcomes.length;
+    const completed = outcomes.filter(outcome => outcome.status === 'completed').length;
+    const expired = outcomes.filter(outcome => outcome.status === 'expired').length;
+    const thresholdTimes = outcomes
+      .filter(outcome => outcome.hoursToThreshold !== null)
+      .map(outcome => outcome.hoursToThreshold);
+    const joined = outcomes.reduce((sum, outcome) => sum + outcome.participants + outcome.departures, 0);
+    const departures = outcomes.reduce((sum, outcome) => sum + outcome.departures, 0);
+    const revenue = outcomes.reduce((sum, outcome) => sum + outcome.revenue, 0);
+    const carbonSaved = outcomes.reduce((sum, outcome) => sum + outcome.carbonSaved, 0);
+
+    return {
+      groups,
+      completed,
+      expired,
+      cancelled: groups - completed - expired,
+      completionRate: groups > 0 ? round(completed / groups, 3) : null,
+      avgHoursToThreshold: thresholdTimes.length > 0
+        ? round(thresholdTimes.reduce((sum, hours) => sum + hours, 0) / thresholdTimes.length, 1)
+        : null,
+      avgParticipants: groups > 0
+        ? round(outcomes.reduce((sum, outcome) => sum + outcome.participants, 0) / groups, 1)
+        : null,
+      // Share of everyone who joined that left before the group closed
+      dropOffRate: joined > 0 ? round(departures / joined, 3) : null,
+      revenue: round(revenue),
+      revenuePerGroup: groups > 0 ? round(revenue / groups) : 0,
+      carbonSaved: round(carbonSaved)
+    };
+  }
+
+  groupByConfiguration(outcomes) {
+    const byKey = new Map();
+
+    outcomes.forEach(outcome => {
+      const key = `${outcome.threshold}:${outcome.discountPercent}:${outcome.expiryDays}`;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(outcome);
+    });
+
+    return Array.from(byKey.values())
+      .map(group => ({
+        threshold: group[0].threshold,
+        discountPercent: group[0].discountPercent,
+        expiryDays: group[0].expiryDays,
+        ...this.summarize(group)
+      }))
+      .sort((a, b) => b.groups - a.groups);
+  }
+
+  getProductConfiguration(product) {
+    return {
+      threshold: product.groupBuying.threshold,
+      discountPercent: product.groupBuying.discountPercent,
+      expiryDays: product.groupBuying.expiryDays
+    };
+  }
+}
+
+module.exports = new GroupBuyAnalyticsService();
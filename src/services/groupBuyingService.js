@@ -1,14 +1,53 @@
+const crypto = require('crypto');
 const GroupBuy = require('../models/GroupBuy');
 const Product = require('../models/Product');
 const User = require('../models/User');
+const PickupPoint = require('../models/PickupPoint');
 const mongoose = require('mongoose');
-const { sendGroupBuyingNotification } = require('./notificationService');
+const Geo = require('../utils/geo');
+const NotificationService = require('./notificationService');
+const EmissionFactorService = require('./emissionFactorService');
+const PaymentService = require('./paymentService');
+const CheckoutService = require('./checkoutService');
+const InteractionEventService = require('./interactionEventService');
+const ExperimentService = require('./experimentService');
 
+// Home deliveries within this distance of each other share a shipment
+const CLUSTER_RADIUS_KM = 5;
+// Van distance to reach one delivery stop from the local depot
+const LAST_MILE_KM = 10;
+// Packaging saved for each parcel merged into a consolidated shipment
+const PACKAGING_PER_PARCEL_KG = 0.2;
+// Parcel mass for products without a bill of materials
+const DEFAULT_PARCEL_MASS_KG = 1;
+// Share of a referred friend's order carbon saving credited to the inviter
+const REFERRAL_CREDIT_PERCENT = 10;
+// Completed groups younger than this are still being settled by the request
+// that completed them
+const SETTLEMENT_GRACE_MINUTES = 10;
+const INVITE_BASE_URL = process.env.INVITE_BASE_URL || 'http://localhost:3000/group-buys/invite';
+
+// Discovery sort orders: the computed field and its direction. _id breaks ties.
+const DISCOVERY_SORTS = {
+  closest: { field: 'progress', direction: -1 },
+  carbon: { field: 'projectedCarbonSaving', direction: -1 },
+  ending: { field: 'expiryDate', direction: 1 },
+  distance: { field: 'distanceKm', direction: 1 }
+};
+
+/**
+ * Group buy state changes are made with conditional updates so concurrent
+ * requests can't lose participants, overfill a group, or complete it twice.
+ * Whoever wins a state transition is the one that sends its notifications.
+ */
 class GroupBuyingService {
   /**
-   * Create a new group buying opportunity
+   * Create a new group buying opportunity, or join the active one serving
+   * the user's delivery location. The initiator's payment method is
+   * authorized for their share at the starting discount.
+   * @param {Object} options - { paymentMethod, delivery: { addressId } or { pickupPointId } }
    */
-  async createGroupBuy(productId, userId) {
+  async createGroupBuy(productId, userId, { paymentMethod, delivery } = {}) {
     try {
       // Get product details
       const product = await Product.findById(productId);
@@ -21,60 +60,95 @@ class GroupBuyingService {
         throw new Error('Group buying is not enabled for this product');
       }
       
-      // Check if there's already an active group buy for this product
-      const existingGroup = await GroupBuy.findOne({
-        productId,
-        status: 'active',
-        expiryDate: { $gt: new Date() }
-      });
+      const destination = await this.resolveDelivery(userId, product, delivery);
+      
+      // Check if there's already an active group buy serving this location
+      const existingGroup = await this.findGroupForDelivery(product, destination);
       
       if (existingGroup) {
-        return this.joinGroupBuy(existingGroup._id, userId);
+        return this.joinGroupBuy(existingGroup._id, userId, { paymentMethod, delivery });
       }
       
-      // Create a new group buy
+      // Create a new group buy; an experiment may try a different duration
+      const { params } = await ExperimentService.getParams('group_buy', userId, { expose: false });
+      const expiryDays = params.expiryDays || product.groupBuying.expiryDays;
       const expiryDate = new Date();
-      expiryDate.setDate(expiryDate.getDate() + product.groupBuying.expiryDays);
+      expiryDate.setDate(expiryDate.getDate() + expiryDays);
+      
+      const tiers = this.buildTiers(product);
+      const quantity = product.groupBuying.quantityPerParticipant || 1;
       
       const newGroupBuy = new GroupBuy({
         productId,
         productName: product.name,
         initiatorId: userId,
         threshold: product.groupBuying.threshold,
-        discountPercent: product.groupBuying.discountPercent,
+        unitPrice: product.price,
+        discountPercent: tiers[0].discountPercent,
+        tiers,
+        maxCapacity: Math.max(
+          product.groupBuying.maxCapacity || tiers[tiers.length - 1].minParticipants,
+          product.groupBuying.threshold
+        ),
+        deliveryArea: product.groupBuying.deliveryRadiusKm
+          ? {
+            regionKey: destination.regionKey,
+            center: destination.delivery.coordinates,
+            radiusKm: product.groupBuying.deliveryRadiusKm
+          }
+          : { regionKey: 'global' },
         carbonSavingPercent: product.groupBuying.carbonSavingPercent,
+        expiryDays,
         expiryDate,
         participants: [{
           userId,
-          joinedAt: new Date()
+          joinedAt: new Date(),
+          quantity,
+          delivery: destination.delivery
         }]
       });
       
-      // Update product's current participants count
-      product.groupBuying.currentParticipants = 1;
-      await product.save();
+      // Hold stock for the initiator before the group exists
+      await this.reserveStock(productId, quantity);
       
-      // Save the new group buy
-      const savedGroupBuy = await newGroupBuy.save();
+      let payment;
+      try {
+        payment = await this.authorizeParticipant(newGroupBuy, userId, quantity, paymentMethod);
+      } catch (error) {
+        await this.returnStock(productId, quantity);
+        throw error;
+      }
+      newGroupBuy.participants[0].payment = payment;
       
-      // Update user's group buying participation
-      const user = await User.findById(userId);
-      if (user) {
-        const productCarbonFootprint = product.sustainability.carbonFootprint || 10;
-        const potentialSaving = (productCarbonFootprint * product.groupBuying.carbonSavingPercent) / 100;
-        
-        user.groupBuyingParticipation.push({
-          groupId: savedGroupBuy._id,
-          productId,
-          productName: product.name,
-          joinedAt: new Date(),
-          status: 'active',
-          potentialCarbonSaving: potentialSaving
-        });
+      let savedGroupBuy;
+      try {
+        savedGroupBuy = await newGroupBuy.save();
+      } catch (error) {
+        await this.returnStock(productId, quantity);
+        await PaymentService.void(payment);
         
-        await user.save();
+        // Someone else created the active group first: join theirs instead
+        if (error.code === 11000) {
+          const winner = await GroupBuy.findOne({
+            productId,
+            status: 'active',
+            'deliveryArea.regionKey': newGroupBuy.deliveryArea.regionKey
+          });
+          if (winner) return this.joinGroupBuy(winner._id, userId, { paymentMethod, delivery });
+        }
+        throw error;
       }
       
+      // Only a group this user created runs on their variant's duration
+      await ExperimentService.recordExposure('group_buy', userId);
+      
+      // Update product's current participants count
+      await Product.findByIdAndUpdate(productId, {
+        $inc: { 'groupBuying.currentParticipants': 1 }
+      });
+      
+      await this.recordParticipation(userId, savedGroupBuy, product);
+      
       return savedGroupBuy;
     } catch (error) {
       console.error('Error creating group buy:', error);
@@ -83,9 +157,12 @@ class GroupBuyingService {
   }
   
   /**
-   * Join an existing group buying opportunity
+   * Join an existing group buying opportunity. The participant's payment
+   * method is authorized for their share at the group's starting discount,
+   * the most they can be charged. Joining with an invite code attributes
+   * the participant to the inviter.
    */
-  async joinGroupBuy(groupId, userId) {
+  async joinGroupBuy(groupId, userId, { paymentMethod, delivery, inviteCode } = {}) {
     try {
       const groupBuy = await GroupBuy.findById(groupId);
       
@@ -98,79 +175,991 @@ class GroupBuyingService {
       }
       
       if (new Date() > groupBuy.expiryDate) {
-        groupBuy.status = 'expired';
-        await groupBuy.save();
+        await this.closeExpiredGroupBuy(groupBuy);
         throw new Error('This group buy has expired');
       }
       
       // Check if user is already a participant
-      const isParticipant = groupBuy.participants.some(
-        p => p.userId.toString() === userId.toString()
-      );
-      
-      if (isParticipant) {
+      if (this.isParticipant(groupBuy, userId)) {
         return { 
           groupBuy, 
           message: 'You are already participating in this group buy' 
         };
       }
       
-      // Add user to participants
-      groupBuy.participants.push({
-        userId,
-        joinedAt: new Date()
-      });
+      if (groupBuy.isFull()) {
+        throw new Error('This group buy is full');
+      }
+      
+      const referredBy = inviteCode ? this.getInviter(groupBuy, inviteCode, userId) : null;
       
-      // Update product's current participants count
       const product = await Product.findById(groupBuy.productId);
-      if (product) {
-        product.groupBuying.currentParticipants = groupBuy.participants.length;
-        await product.save();
+      
+      if (!product) {
+        throw new Error('Product not found');
       }
       
-      // Check if threshold is reached
-      if (groupBuy.participants.length >= groupBuy.threshold && groupBuy.status === 'active') {
-        groupBuy.status = 'completed';
-        groupBuy.completedAt = new Date();
-        
-        // Notify all participants
-        groupBuy.participants.forEach(participant => {
-          sendGroupBuyingNotification(
-            participant.userId, 
-            groupBuy.productId,
-            'Group Buy Successful!',
-            `Your group purchase for "${groupBuy.productName}" has reached the required number of participants! You can now complete your purchase with a ${groupBuy.discountPercent}% discount.`
-          );
-        });
+      const destination = await this.resolveDelivery(userId, product, delivery);
+      
+      if (!this.servesDelivery(groupBuy, destination)) {
+        throw new Error('Your delivery location is outside this group buy\'s delivery area');
       }
       
-      await groupBuy.save();
+      const quantity = product.groupBuying.quantityPerParticipant || 1;
+      
+      // Hold stock for the new participant so a completed group never oversells
+      await this.reserveStock(groupBuy.productId, quantity);
+      
+      let payment;
+      try {
+        payment = await this.authorizeParticipant(groupBuy, userId, quantity, paymentMethod, product);
+      } catch (error) {
+        await this.returnStock(groupBuy.productId, quantity);
+        throw error;
+      }
+      
+      // Add the participant only if the group is still open, has room and
+      // doesn't already include them
+      const now = new Date();
+      const updated = await GroupBuy.findOneAndUpdate(
+        {
+          _id: groupId,
+          status: 'active',
+          expiryDate: { $gt: now },
+          'participants.userId': { $ne: userId },
+          $expr: { $lt: [{ $size: '$participants' }, '$maxCapacity'] }
+        },
+        {
+          $push: {
+            participants: {
+              userId,
+              joinedAt: now,
+              quantity,
+              payment,
+              delivery: destination.delivery,
+              referredBy: referredBy || undefined
+            }
+          }
+        },
+        { new: true }
+      );
+      
+      if (!updated) {
+        await this.returnStock(groupBuy.productId, quantity);
+        await PaymentService.void(payment);
+        return this.explainFailedJoin(groupId, userId);
+      }
+      
+      // Update product's current participants count
+      await Product.findByIdAndUpdate(groupBuy.productId, {
+        $inc: { 'groupBuying.currentParticipants': 1 }
+      });
+      
+      if (referredBy) {
+        await GroupBuy.updateOne(
+          { _id: groupId, 'invites.code': inviteCode },
+          { $inc: { 'invites.$.joins': 1 } }
+        );
+      }
+      
+      const result = await this.applyJoinTransitions(updated);
       
       // Update user's group buying participation
-      const user = await User.findById(userId);
-      if (user && product) {
-        const productCarbonFootprint = product.sustainability.carbonFootprint || 10;
-        const potentialSaving = (productCarbonFootprint * product.groupBuying.carbonSavingPercent) / 100;
+      await this.recordParticipation(userId, result, product);
+      
+      return { groupBuy: result, message: 'Successfully joined group buy' };
+    } catch (error) {
+      console.error('Error joining group buy:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * After a join: unlock the threshold, raise the tier discount and complete
+   * a full group. Each step is a conditional update, so exactly one of any
+   * concurrent joiners performs it and notifies.
+   */
+  async applyJoinTransitions(groupBuy) {
+    const count = groupBuy.participants.length;
+    let current = groupBuy;
+    let event = null;
+    
+    if (count >= groupBuy.threshold) {
+      const unlocked = await GroupBuy.findOneAndUpdate(
+        { _id: groupBuy._id, thresholdReachedAt: null },
+        { $set: { thresholdReachedAt: new Date() } },
+        { new: true }
+      );
+      if (unlocked) {
+        current = unlocked;
+        event = 'group_buy_threshold_reached';
+      }
+    }
+    
+    const discount = groupBuy.getDiscountForCount(count);
+    const raised = await GroupBuy.findOneAndUpdate(
+      { _id: groupBuy._id, discountPercent: { $lt: discount } },
+      { $set: { discountPercent: discount } },
+      { new: true }
+    );
+    if (raised) {
+      current = raised;
+      event = event || 'group_buy_tier_unlocked';
+    }
+    
+    if (count >= groupBuy.maxCapacity) {
+      const completed = await this.completeGroupBuy(groupBuy._id);
+      if (completed) return completed;
+    }
+    
+    if (event) {
+      current.participants.forEach(participant => {
+        NotificationService.sendGroupBuyingNotification(participant.userId, current, event);
+      });
+    }
+    
+    return current;
+  }
+  
+  /**
+   * Work out why a conditional join matched nothing
+   */
+  async explainFailedJoin(groupId, userId) {
+    const groupBuy = await GroupBuy.findById(groupId);
+    
+    if (!groupBuy) {
+      throw new Error('Group buy not found');
+    }
+    
+    if (this.isParticipant(groupBuy, userId)) {
+      return {
+        groupBuy,
+        message: 'You are already participating in this group buy'
+      };
+    }
+    
+    if (groupBuy.status !== 'active') {
+      throw new Error(`Cannot join a ${groupBuy.status} group buy`);
+    }
+    
+    if (groupBuy.isFull()) {
+      throw new Error('This group buy is full');
+    }
+    
+    throw new Error('This group buy has expired');
+  }
+  
+  /**
+   * Work out where a participant's order goes: a pickup point, a chosen
+   * address or the user's default address
+   * @return {Object} { delivery, regionKey }; delivery is null if the user has no address
+   */
+  async resolveDelivery(userId, product, { addressId, pickupPointId } = {}) {
+    let destination = { delivery: null, regionKey: null };
+    
+    if (pickupPointId) {
+      const pickupPoint = await PickupPoint.findOne({ _id: pickupPointId, active: true });
+      
+      if (!pickupPoint) {
+        throw new Error('Pickup point not found');
+      }
+      
+      destination = {
+        delivery: {
+          method: 'pickup',
+          pickupPointId: pickupPoint._id,
+          postcode: pickupPoint.address.postcode,
+          coordinates: pickupPoint.location.coordinates
+        },
+        regionKey: Geo.regionKey(pickupPoint.address.postcode, pickupPoint.address.country)
+      };
+    } else {
+      const user = await User.findById(userId).select('addresses');
+      
+      if (!user) {
+        throw new Error('User not found');
+      }
+      
+      const address = addressId
+        ? user.addresses.id(addressId)
+        : user.addresses.find(candidate => candidate.isDefault) || user.addresses[0];
+      
+      if (addressId && !address) {
+        throw new Error('Delivery address not found');
+      }
+      
+      if (address) {
+        const coordinates = address.location && address.location.coordinates;
+        destination = {
+          delivery: {
+            method: 'home',
+            addressId: address._id,
+            postcode: address.postcode,
+            coordinates: Geo.isValidCoordinates(coordinates) ? coordinates : undefined
+          },
+          regionKey: Geo.regionKey(address.postcode, address.country)
+        };
+      }
+    }
+    
+    const located = destination.delivery && destination.delivery.coordinates;
+    if (product.groupBuying.deliveryRadiusKm && !located) {
+      throw new Error('A delivery address with a location or a pickup point is required for this group buy');
+    }
+    
+    return destination;
+  }
+  
+  /**
+   * Find the open group buy for a product that serves a delivery location,
+   * closing any expired ones found on the way. Groups in the same postcode
+   * district win over merely nearby ones.
+   */
+  async findGroupForDelivery(product, destination) {
+    const groups = await GroupBuy.find({ productId: product._id, status: 'active' });
+    const now = new Date();
+    const open = [];
+    
+    for (const groupBuy of groups) {
+      if (groupBuy.expiryDate > now) {
+        open.push(groupBuy);
+      } else {
+        // Close it so the unique active-group index lets a new one in
+        await this.closeExpiredGroupBuy(groupBuy);
+      }
+    }
+    
+    if (!product.groupBuying.deliveryRadiusKm) {
+      return open.find(groupBuy => this.getRegionKey(groupBuy) === 'global') || null;
+    }
+    
+    const coordinates = destination.delivery.coordinates;
+    const candidates = open
+      .filter(groupBuy => this.servesDelivery(groupBuy, destination))
+      .map(groupBuy => ({
+        groupBuy,
+        sameRegion: this.getRegionKey(groupBuy) === destination.regionKey,
+        distanceKm: Geo.distanceKm(groupBuy.deliveryArea.center, coordinates)
+      }))
+      .sort((a, b) => (b.sameRegion - a.sameRegion) || (a.distanceKm - b.distanceKm));
+    
+    return candidates.length > 0 ? candidates[0].groupBuy : null;
+  }
+  
+  /**
+   * Whether a group buy delivers to a destination. Groups without a
+   * delivery area serve everyone.
+   */
+  servesDelivery(groupBuy, { delivery, regionKey }) {
+    const area = groupBuy.deliveryArea;
+    if (!area || !area.radiusKm) return true;
+    
+    if (regionKey && regionKey === area.regionKey) return true;
+    
+    return Boolean(
+      delivery && delivery.coordinates &&
+      Geo.distanceKm(area.center, delivery.coordinates) <= area.radiusKm
+    );
+  }
+  
+  getRegionKey(groupBuy) {
+    return (groupBuy.deliveryArea && groupBuy.deliveryArea.regionKey) || 'global';
+  }
+  
+  isParticipant(groupBuy, userId) {
+    return groupBuy.participants.some(
+      p => p.userId.toString() === userId.toString()
+    );
+  }
+  
+  /**
+   * Client view of a group buy: its terms and progress, plus only the
+   * caller's own participation and invite. Other participants' payment,
+   * delivery and referral details never leave the server.
+   */
+  formatGroupBuy(groupBuy, userId) {
+    const own = groupBuy.participants.find(p => p.userId.toString() === userId.toString());
+    const invite = this.findInviteFor(groupBuy, userId);
+    
+    return {
+      _id: groupBuy._id,
+      productId: groupBuy.productId,
+      productName: groupBuy.productName,
+      status: groupBuy.status,
+      isInitiator: groupBuy.initiatorId.toString() === userId.toString(),
+      threshold: groupBuy.threshold,
+      maxCapacity: groupBuy.maxCapacity,
+      participantsCount: groupBuy.participants.length,
+      spotsLeft: Math.max(0, groupBuy.maxCapacity - groupBuy.participants.length),
+      unitPrice: groupBuy.unitPrice,
+      discountPercent: groupBuy.discountPercent,
+      tiers: groupBuy.tiers.map(tier => ({
+        minParticipants: tier.minParticipants,
+        discountPercent: tier.discountPercent
+      })),
+      carbonSavingPercent: groupBuy.carbonSavingPercent,
+      deliveryArea: {
+        regionKey: this.getRegionKey(groupBuy),
+        radiusKm: groupBuy.deliveryArea && groupBuy.deliveryArea.radiusKm
+      },
+      expiryDate: groupBuy.expiryDate,
+      thresholdReachedAt: groupBuy.thresholdReachedAt,
+      completedAt: groupBuy.completedAt,
+      cancelledAt: groupBuy.cancelledAt,
+      cancellationReason: groupBuy.cancellationReason,
+      createdAt: groupBuy.createdAt,
+      myParticipation: own
+        ? {
+          joinedAt: own.joinedAt,
+          quantity: own.quantity,
+          reservationStatus: own.reservationStatus,
+          orderStatus: own.orderStatus,
+          orderId: own.orderId,
+          payment: own.payment && own.payment.status
+            ? {
+              status: own.payment.status,
+              authorizedAmount: own.payment.authorizedAmount,
+              capturedAmount: own.payment.capturedAmount,
+              currency: own.payment.currency
+            }
+            : null,
+          delivery: own.delivery
+        }
+        : null,
+      myInvite: invite ? this.formatInvite(groupBuy, invite) : null
+    };
+  }
+  
+  /**
+   * Add the group buy to the user's participation list and record the join
+   * as an interaction event. Rejoining after leaving reactivates the
+   * existing entry.
+   */
+  async recordParticipation(userId, groupBuy, product) {
+    const productCarbonFootprint = product.sustainability.carbonFootprint || 10;
+    const potentialSaving = (productCarbonFootprint * product.groupBuying.carbonSavingPercent) / 100;
+    const joinedAt = new Date();
+    
+    const reactivated = await User.updateOne(
+      { _id: userId, 'groupBuyingParticipation.groupId': groupBuy._id },
+      {
+        $set: {
+          'groupBuyingParticipation.$.status': groupBuy.status,
+          'groupBuyingParticipation.$.joinedAt': joinedAt,
+          'groupBuyingParticipation.$.potentialCarbonSaving': potentialSaving
+        }
+      }
+    );
+    const matched = reactivated.matchedCount !== undefined ? reactivated.matchedCount : reactivated.n;
+    
+    if (matched === 0) {
+      await User.updateOne(
+        { _id: userId, 'groupBuyingParticipation.groupId': { $ne: groupBuy._id } },
+        {
+          $push: {
+            groupBuyingParticipation: {
+              groupId: groupBuy._id,
+              productId: groupBuy.productId,
+              productName: groupBuy.productName,
+              joinedAt,
+              status: groupBuy.status,
+              potentialCarbonSaving: potentialSaving
+            }
+          }
+        }
+      );
+    }
+    
+    InteractionEventService.track(userId, {
+      type: 'group_buy_join',
+      productId: groupBuy.productId,
+      groupBuyId: groupBuy._id
+    }, { source: 'server' });
+  }
+  
+  /**
+   * Leave an active group buy. The participant's held stock goes back to
+   * the product. If the initiator leaves, the earliest remaining participant
+   * takes over; if nobody is left, the group is cancelled.
+   */
+  async leaveGroupBuy(groupId, userId) {
+    try {
+      const now = new Date();
+      
+      // Pulling the participant is the atomic claim: only one leave succeeds,
+      // and never once the group has closed
+      const before = await GroupBuy.findOneAndUpdate(
+        { _id: groupId, status: 'active', 'participants.userId': userId },
+        { $pull: { participants: { userId } } }
+      );
+      
+      if (!before) {
+        const groupBuy = await GroupBuy.findById(groupId);
         
-        user.groupBuyingParticipation.push({
-          groupId: groupBuy._id,
-          productId: groupBuy.productId,
-          productName: groupBuy.productName,
-          joinedAt: new Date(),
-          status: groupBuy.status,
-          potentialCarbonSaving: potentialSaving
+        if (!groupBuy) {
+          throw new Error('Group buy not found');
+        }
+        if (groupBuy.status !== 'active') {
+          throw new Error(`Cannot leave a ${groupBuy.status} group buy`);
+        }
+        throw new Error('You are not participating in this group buy');
+      }
+      
+      const participant = before.participants.find(
+        p => p.userId.toString() === userId.toString()
+      );
+      
+      if (participant.reservationStatus === 'held') {
+        await this.returnStock(before.productId, participant.quantity);
+      }
+      if (participant.payment && participant.payment.status === 'authorized') {
+        await PaymentService.void(participant.payment);
+      }
+      
+      await GroupBuy.updateOne(
+        { _id: groupId },
+        { $push: { departures: { userId, joinedAt: participant.joinedAt, leftAt: now } } }
+      );
+      
+      await Product.findByIdAndUpdate(before.productId, {
+        $inc: { 'groupBuying.currentParticipants': -1 }
+      });
+      
+      await User.updateOne(
+        { _id: userId, 'groupBuyingParticipation.groupId': before._id },
+        { $set: { 'groupBuyingParticipation.$.status': 'left' } }
+      );
+      
+      let groupBuy = await GroupBuy.findById(groupId);
+      
+      // Last one out closes the group
+      if (groupBuy.participants.length === 0) {
+        const cancelled = await this.cancelGroupBuy(groupId, userId, {
+          isAdmin: true,
+          reason: 'All participants left'
         });
+        return { groupBuy: cancelled, message: 'You left the group buy and it was cancelled' };
+      }
+      
+      // Hand the group over if the initiator left
+      let newInitiatorId = null;
+      if (groupBuy.initiatorId.toString() === userId.toString()) {
+        const successor = groupBuy.participants
+          .slice()
+          .sort((a, b) => a.joinedAt - b.joinedAt)[0];
         
-        await user.save();
+        const transferred = await GroupBuy.updateOne(
+          { _id: groupId, initiatorId: userId },
+          { $set: { initiatorId: successor.userId } }
+        );
+        const modified = transferred.modifiedCount !== undefined ? transferred.modifiedCount : transferred.nModified;
+        if (modified > 0) newInitiatorId = successor.userId;
       }
       
-      return { groupBuy, message: 'Successfully joined group buy' };
+      // Dropping below the threshold locks the group again; the discount
+      // follows the tier the remaining participants are in
+      await GroupBuy.updateOne(
+        {
+          _id: groupId,
+          thresholdReachedAt: { $ne: null },
+          $expr: { $lt: [{ $size: '$participants' }, '$threshold'] }
+        },
+        { $set: { thresholdReachedAt: null } }
+      );
+      await GroupBuy.updateOne(
+        { _id: groupId, status: 'active' },
+        { $set: { discountPercent: groupBuy.getDiscountForCount(groupBuy.participants.length) } }
+      );
+      
+      groupBuy = await GroupBuy.findById(groupId);
+      
+      groupBuy.participants.forEach(remaining => {
+        const isNewInitiator = newInitiatorId && remaining.userId.toString() === newInitiatorId.toString();
+        NotificationService.sendGroupBuyingNotification(
+          remaining.userId,
+          groupBuy,
+          isNewInitiator ? 'group_buy_initiator_transferred' : 'group_buy_participant_left'
+        );
+      });
+      
+      return { groupBuy, message: 'You left the group buy' };
     } catch (error) {
-      console.error('Error joining group buy:', error);
+      console.error('Error leaving group buy:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Cancel an active group buy. Only its initiator or an admin may cancel.
+   * All held stock and payment authorizations are released and participants
+   * are notified.
+   */
+  async cancelGroupBuy(groupId, actorId, { isAdmin = false, reason = null } = {}) {
+    try {
+      const existing = await GroupBuy.findById(groupId);
+      
+      if (!existing) {
+        throw new Error('Group buy not found');
+      }
+      
+      if (!isAdmin && existing.initiatorId.toString() !== actorId.toString()) {
+        throw new Error('Only the initiator or an admin can cancel this group buy');
+      }
+      
+      const groupBuy = await GroupBuy.findOneAndUpdate(
+        { _id: groupId, status: 'active' },
+        {
+          $set: {
+            status: 'cancelled',
+            cancelledAt: new Date(),
+            cancelledBy: actorId,
+            cancellationReason: reason
+          }
+        },
+        { new: true }
+      );
+      
+      if (!groupBuy) {
+        throw new Error(`Cannot cancel a ${existing.status} group buy`);
+      }
+      
+      await this.releaseReservations(groupBuy);
+      await this.voidAuthorizations(groupBuy);
+      
+      await this.setParticipationStatus(groupBuy._id, 'cancelled');
+      
+      await this.releaseParticipantCount(groupBuy);
+      
+      groupBuy.participants
+        .filter(participant => participant.userId.toString() !== actorId.toString())
+        .forEach(participant => {
+          NotificationService.sendGroupBuyingNotification(
+            participant.userId,
+            groupBuy,
+            'group_buy_cancelled',
+            { reason }
+          );
+        });
+      
+      return groupBuy;
+    } catch (error) {
+      console.error('Error cancelling group buy:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get (or create) the participant's shareable invite for a group buy
+   * @return {Object} { code, url, groupBuyId, expiresAt, joins }
+   */
+  async createInvite(groupId, userId) {
+    try {
+      const groupBuy = await GroupBuy.findById(groupId);
+      
+      if (!groupBuy) {
+        throw new Error('Group buy not found');
+      }
+      
+      if (groupBuy.status !== 'active') {
+        throw new Error(`Cannot invite to a ${groupBuy.status} group buy`);
+      }
+      
+      if (groupBuy.expiryDate <= new Date()) {
+        throw new Error('This group buy has expired');
+      }
+      
+      if (!this.isParticipant(groupBuy, userId)) {
+        throw new Error('Only participants can invite others');
+      }
+      
+      const existing = this.findInviteFor(groupBuy, userId);
+      if (existing) return this.formatInvite(groupBuy, existing);
+      
+      // Retry on the unlikely code collision
+      for (let attempt = 1; ; attempt++) {
+        const code = crypto.randomBytes(5).toString('hex').toUpperCase();
+        
+        try {
+          const updated = await GroupBuy.findOneAndUpdate(
+            {
+              _id: groupId,
+              status: 'active',
+              'participants.userId': userId,
+              'invites.inviterId': { $ne: userId }
+            },
+            { $push: { invites: { code, inviterId: userId } } },
+            { new: true }
+          );
+          
+          // A concurrent request may have created the invite first
+          const current = updated || await GroupBuy.findById(groupId);
+          const invite = current && this.findInviteFor(current, userId);
+          
+          if (!invite) {
+            throw new Error('Cannot create an invite for this group buy');
+          }
+          
+          return this.formatInvite(current, invite);
+        } catch (error) {
+          if (error.code !== 11000 || attempt >= 3) throw error;
+        }
+      }
+    } catch (error) {
+      console.error('Error creating group buy invite:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Preview the group buy behind an invite code, for pre-filling a join
+   */
+  async getInvite(code) {
+    try {
+      const groupBuy = await GroupBuy.findOne({ 'invites.code': code });
+      
+      if (!groupBuy) {
+        throw new Error('Invite not found');
+      }
+      
+      // Invites expire with their group
+      if (groupBuy.status !== 'active' || groupBuy.expiryDate <= new Date()) {
+        throw new Error('This invite has expired');
+      }
+      
+      const invite = groupBuy.invites.find(candidate => candidate.code === code);
+      const inviter = await User.findById(invite.inviterId).select('name avatar');
+      
+      return {
+        ...this.formatInvite(groupBuy, invite),
+        inviter: inviter ? { name: inviter.name, avatar: inviter.avatar } : null,
+        productId: groupBuy.productId,
+        productName: groupBuy.productName,
+        discountPercent: groupBuy.discountPercent,
+        participantsCount: groupBuy.participants.length,
+        threshold: groupBuy.threshold,
+        spotsLeft: groupBuy.maxCapacity - groupBuy.participants.length
+      };
+    } catch (error) {
+      console.error('Error fetching group buy invite:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Join the group buy behind an invite code
+   */
+  async joinWithInvite(code, userId, options = {}) {
+    const groupBuy = await GroupBuy.findOne({ 'invites.code': code }).select('_id');
+    
+    if (!groupBuy) {
+      throw new Error('Invite not found');
+    }
+    
+    return this.joinGroupBuy(groupBuy._id, userId, { ...options, inviteCode: code });
+  }
+  
+  /**
+   * Inviter to attribute a join to; nobody is credited for inviting themselves
+   */
+  getInviter(groupBuy, code, userId) {
+    const invite = groupBuy.invites.find(candidate => candidate.code === code);
+    
+    if (!invite) {
+      throw new Error('Invite not found');
+    }
+    
+    return invite.inviterId.toString() === userId.toString() ? null : invite.inviterId;
+  }
+  
+  findInviteFor(groupBuy, userId) {
+    return groupBuy.invites.find(invite => invite.inviterId.toString() === userId.toString());
+  }
+  
+  formatInvite(groupBuy, invite) {
+    return {
+      code: invite.code,
+      url: `${INVITE_BASE_URL}/${invite.code}`,
+      groupBuyId: groupBuy._id,
+      expiresAt: groupBuy.expiryDate,
+      joins: invite.joins
+    };
+  }
+  
+  /**
+   * Credit the inviter of a participant whose order was placed with a share
+   * of that order's carbon saving. Each participant is credited once.
+   */
+  async creditReferral(groupBuy, participant, order) {
+    const credit = +(order.totalCarbonSaving * REFERRAL_CREDIT_PERCENT / 100).toFixed(2);
+    if (credit <= 0) return null;
+    
+    const claimed = await GroupBuy.updateOne(
+      {
+        _id: groupBuy._id,
+        participants: { $elemMatch: { _id: participant._id, referralCreditedAt: null } }
+      },
+      {
+        $set: {
+          'participants.$.referralCredit': credit,
+          'participants.$.referralCreditedAt': new Date()
+        }
+      }
+    );
+    
+    const modified = claimed.modifiedCount !== undefined ? claimed.modifiedCount : claimed.nModified;
+    if (modified === 0) return null;
+    
+    const inviter = await User.findById(participant.referredBy);
+    if (!inviter) return null;
+    
+    const badgeCount = inviter.carbonImpact.badges.length;
+    inviter.recordCarbonSaving(credit);
+    inviter.carbonImpact.referralCredits = +((inviter.carbonImpact.referralCredits || 0) + credit).toFixed(2);
+    inviter.updateCarbonMetrics();
+    const newBadges = inviter.carbonImpact.badges.slice(badgeCount);
+    await inviter.save();
+    
+    NotificationService.sendGroupBuyingNotification(
+      inviter._id,
+      groupBuy,
+      'referral_credit_earned',
+      { creditKg: credit }
+    );
+    if (newBadges.length > 0) {
+      NotificationService.sendBadgeNotifications(inviter._id, newBadges);
+    }
+    
+    return credit;
+  }
+  
+  /**
+   * Users ranked by friends who completed a group buy through their invites
+   * @param {Object} options - { limit, since }
+   */
+  async getReferralLeaderboard({ limit = 10, since = null } = {}) {
+    try {
+      const match = { 'participants.referredBy': { $exists: true } };
+      if (since) match.createdAt = { $gte: since };
+      
+      return await GroupBuy.aggregate([
+        { $match: match },
+        { $unwind: '$participants' },
+        { $match: { 'participants.referredBy': { $exists: true, $ne: null } } },
+        {
+          $group: {
+            _id: '$participants.referredBy',
+            invitedCount: { $sum: 1 },
+            completedCount: {
+              $sum: { $cond: [{ $ifNull: ['$participants.referralCreditedAt', false] }, 1, 0] }
+            },
+            carbonCredit: { $sum: { $ifNull: ['$participants.referralCredit', 0] } }
+          }
+        },
+        { $sort: { completedCount: -1, invitedCount: -1 } },
+        { $limit: limit },
+        {
+          $lookup: {
+            from: 'users',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'user'
+          }
+        },
+        { $unwind: '$user' },
+        {
+          $project: {
+            _id: 0,
+            userId: '$_id',
+            name: '$user.name',
+            avatar: '$user.avatar',
+            invitedCount: 1,
+            completedCount: 1,
+            carbonCredit: { $round: ['$carbonCredit', 2] }
+          }
+        }
+      ]);
+    } catch (error) {
+      console.error('Error fetching referral leaderboard:', error);
       throw error;
     }
   }
   
+  /**
+   * List open group buys (active, not expired, not full) for discovery
+   * @param {Object} options
+   *   category, minEcoScore - product filters
+   *   minProgress - minimum percent of the threshold reached (0-100)
+   *   endingWithinHours - only groups closing within this many hours
+   *   near - { coordinates: [lng, lat], radiusKm } only groups delivering nearby
+   *   sort - 'closest' (to threshold), 'carbon', 'ending' or 'distance' (needs near)
+   *   limit, cursor - page size and the nextCursor of the previous page
+   * @return {Object} { groupBuys, nextCursor }
+   */
+  async discoverGroupBuys({
+    category = null,
+    minEcoScore = null,
+    minProgress = null,
+    endingWithinHours = null,
+    near = null,
+    sort = 'closest',
+    limit = 20,
+    cursor = null
+  } = {}) {
+    try {
+      const sortSpec = DISCOVERY_SORTS[sort];
+      
+      if (!sortSpec || (sort === 'distance' && !near)) {
+        throw new Error(`Invalid sort "${sort}"`);
+      }
+      
+      const now = new Date();
+      const groupMatch = { status: 'active', expiryDate: { $gt: now } };
+      if (endingWithinHours) {
+        groupMatch.expiryDate.$lte = new Date(now.getTime() + endingWithinHours * 60 * 60 * 1000);
+      }
+      
+      // $geoNear has to be the first stage and takes the group filters itself
+      const pipeline = near
+        ? [{
+          $geoNear: {
+            near: { type: 'Point', coordinates: near.coordinates },
+            key: 'deliveryArea.center',
+            distanceField: 'distanceKm',
+            distanceMultiplier: 0.001,
+            maxDistance: (near.radiusKm || 25) * 1000,
+            spherical: true,
+            query: groupMatch
+          }
+        }]
+        : [{ $match: groupMatch }];
+      
+      const productMatch = {};
+      if (category) productMatch['product.category'] = category;
+      if (minEcoScore) productMatch['product.sustainability.ecoScore'] = { $gte: minEcoScore };
+      
+      pipeline.push(
+        {
+          $lookup: {
+            from: 'products',
+            localField: 'productId',
+            foreignField: '_id',
+            as: 'product'
+          }
+        },
+        { $unwind: '$product' },
+        { $match: productMatch },
+        { $addFields: { participantsCount: { $size: '$participants' } } },
+        { $match: { $expr: { $lt: ['$participantsCount', '$maxCapacity'] } } },
+        {
+          $addFields: {
+            progress: {
+              $min: [100, { $multiply: [{ $divide: ['$participantsCount', '$threshold'] }, 100] }]
+            },
+            // Product saving for everyone the group will include once unlocked
+            projectedCarbonSaving: {
+              $multiply: [
+                { $ifNull: ['$product.sustainability.carbonFootprint', 10] },
+                { $divide: ['$carbonSavingPercent', 100] },
+                { $max: ['$participantsCount', '$threshold'] }
+              ]
+            }
+          }
+        }
+      );
+      
+      if (minProgress) {
+        pipeline.push({ $match: { progress: { $gte: minProgress } } });
+      }
+      
+      if (cursor) {
+        pipeline.push({ $match: this.buildCursorMatch(sortSpec, this.decodeCursor(cursor, sortSpec)) });
+      }
+      
+      pipeline.push(
+        { $sort: { [sortSpec.field]: sortSpec.direction, _id: 1 } },
+        { $limit: limit + 1 },
+        {
+          $project: {
+            productId: 1,
+            productName: 1,
+            category: '$product.category',
+            image: { $arrayElemAt: ['$product.images', 0] },
+            price: { $ifNull: ['$unitPrice', '$product.price'] },
+            ecoScore: '$product.sustainability.ecoScore',
+            discountPercent: 1,
+            participantsCount: 1,
+            threshold: 1,
+            maxCapacity: 1,
+            spotsLeft: { $subtract: ['$maxCapacity', '$participantsCount'] },
+            progress: 1,
+            thresholdReached: { $gte: ['$participantsCount', '$threshold'] },
+            projectedCarbonSaving: 1,
+            expiryDate: 1,
+            distanceKm: 1,
+            regionKey: '$deliveryArea.regionKey'
+          }
+        }
+      );
+      
+      const results = await GroupBuy.aggregate(pipeline);
+      const hasMore = results.length > limit;
+      const groupBuys = results.slice(0, limit).map(groupBuy => ({
+        ...groupBuy,
+        progress: +groupBuy.progress.toFixed(1),
+        projectedCarbonSaving: +groupBuy.projectedCarbonSaving.toFixed(2),
+        distanceKm: groupBuy.distanceKm !== undefined ? +groupBuy.distanceKm.toFixed(1) : undefined
+      }));
+      
+      return {
+        groupBuys,
+        nextCursor: hasMore ? this.encodeCursor(results[limit - 1], sortSpec) : null
+      };
+    } catch (error) {
+      console.error('Error discovering group buys:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Cursors are opaque base64 of the last item's sort value and _id
+   */
+  encodeCursor(item, sortSpec) {
+    const value = item[sortSpec.field];
+    return Buffer.from(JSON.stringify({
+      v: value instanceof Date ? value.toISOString() : value,
+      id: item._id.toString()
+    })).toString('base64url');
+  }
+  
+  decodeCursor(cursor, sortSpec) {
+    try {
+      const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      const value = sortSpec.field === 'expiryDate' ? new Date(v) : v;
+      
+      if (value === undefined || value === null || !mongoose.Types.ObjectId.isValid(id)) {
+        throw new Error();
+      }
+      
+      return { value, id: mongoose.Types.ObjectId(id) };
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+  }
+  
+  /**
+   * Items strictly after the cursor in (sort field, _id) order
+   */
+  buildCursorMatch(sortSpec, { value, id }) {
+    const beyond = sortSpec.direction === 1 ? '$gt' : '$lt';
+    
+    return {
+      $or: [
+        { [sortSpec.field]: { [beyond]: value } },
+        { [sortSpec.field]: value, _id: { $gt: id } }
+      ]
+    };
+  }
+  
   /**
    * Get active group buys for a product
    */
@@ -203,7 +1192,7 @@ class GroupBuyingService {
   
   /**
    * Check and update expired group buys
-   * This should be run periodically by a scheduler
+   * Run periodically by the scheduler (see scheduledJobs)
    */
   async checkAndUpdateExpiredGroupBuys() {
     try {
@@ -213,20 +1202,7 @@ class GroupBuyingService {
       });
       
       for (const groupBuy of expiredGroupBuys) {
-        groupBuy.status = 'expired';
-        await groupBuy.save();
-        
-        // Update user participation status
-        await User.updateMany(
-          { 'groupBuyingParticipation.groupId': groupBuy._id },
-          { $set: { 'groupBuyingParticipation.$.status': 'expired' } }
-        );
-        
-        // Reset product's current participants
-        await Product.findByIdAndUpdate(
-          groupBuy.productId,
-          { 'groupBuying.currentParticipants': 0 }
-        );
+        await this.closeExpiredGroupBuy(groupBuy);
       }
       
       return expiredGroupBuys.length;
@@ -237,7 +1213,498 @@ class GroupBuyingService {
   }
   
   /**
-   * Calculate the environmental impact of a group buy
+   * Remind participants of groups closing within the window that still
+   * need people. Each group is reminded once: the reminder is claimed with
+   * a conditional update before anything is sent.
+   * Run periodically by the scheduler (see scheduledJobs)
+   * @return {Number} how many groups were reminded
+   */
+  async sendExpiryReminders(now = new Date(), windowHours = 24) {
+    try {
+      const windowEnd = new Date(now.getTime() + windowHours * 60 * 60 * 1000);
+      const query = {
+        status: 'active',
+        expiryDate: { $gt: now, $lte: windowEnd },
+        thresholdReachedAt: null,
+        reminderSentAt: null
+      };
+      
+      const candidates = await GroupBuy.find(query).select('_id');
+      let reminded = 0;
+      
+      for (const candidate of candidates) {
+        const groupBuy = await GroupBuy.findOneAndUpdate(
+          { ...query, _id: candidate._id },
+          { $set: { reminderSentAt: now } },
+          { new: true }
+        );
+        if (!groupBuy) continue;
+        
+        const hoursLeft = Math.max(1, Math.round((groupBuy.expiryDate - now) / (60 * 60 * 1000)));
+        
+        for (const participant of groupBuy.participants) {
+          await NotificationService.sendGroupBuyingNotification(
+            participant.userId,
+            groupBuy,
+            'group_buy_expiry_reminder',
+            { hoursLeft }
+          );
+        }
+        reminded++;
+      }
+      
+      return reminded;
+    } catch (error) {
+      console.error('Error sending group buy reminders:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Move every user's still-active participation entry for a group to a
+   * final status
+   */
+  async setParticipationStatus(groupBuyId, status) {
+    await User.updateMany(
+      { 'groupBuyingParticipation.groupId': groupBuyId },
+      { $set: { 'groupBuyingParticipation.$[entry].status': status } },
+      { arrayFilters: [{ 'entry.groupId': groupBuyId, 'entry.status': 'active' }] }
+    );
+  }
+  
+  /**
+   * Take a closed group's participants off the product's currentParticipants.
+   * Other regions' groups for the product may still be active, so the count
+   * is decremented rather than reset. Call once, after the group's status
+   * transition.
+   */
+  async releaseParticipantCount(groupBuy) {
+    await Product.findByIdAndUpdate(groupBuy.productId, {
+      $inc: { 'groupBuying.currentParticipants': -groupBuy.participants.length }
+    });
+  }
+  
+  /**
+   * Close a group buy past its expiry date. Groups that unlocked their
+   * threshold complete; the rest expire and release their held stock.
+   */
+  async closeExpiredGroupBuy(groupBuy) {
+    if (groupBuy.thresholdReachedAt) {
+      return this.completeGroupBuy(groupBuy._id);
+    }
+    
+    const expired = await GroupBuy.findOneAndUpdate(
+      {
+        _id: groupBuy._id,
+        status: 'active',
+        thresholdReachedAt: null,
+        expiryDate: { $lte: new Date() }
+      },
+      { $set: { status: 'expired' } },
+      { new: true }
+    );
+    
+    if (!expired) {
+      // A last-moment join may have unlocked the threshold
+      const current = await GroupBuy.findById(groupBuy._id);
+      if (current && current.status === 'active' && current.thresholdReachedAt) {
+        return this.completeGroupBuy(current._id);
+      }
+      return null;
+    }
+    
+    await this.releaseReservations(expired);
+    await this.voidAuthorizations(expired);
+    
+    // Update user participation status
+    await this.setParticipationStatus(expired._id, 'expired');
+    
+    await this.releaseParticipantCount(expired);
+    
+    // Let participants know the group did not reach its threshold
+    for (const participant of expired.participants) {
+      await NotificationService.sendGroupBuyingNotification(
+        participant.userId,
+        expired,
+        'group_buy_expired'
+      );
+    }
+    
+    return expired;
+  }
+  
+  /**
+   * Close a group buy as completed and check out every participant at the
+   * final discount. Returns null if the group was no longer active.
+   */
+  async completeGroupBuy(groupBuyId) {
+    const groupBuy = await GroupBuy.findOneAndUpdate(
+      { _id: groupBuyId, status: 'active' },
+      { $set: { status: 'completed', completedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!groupBuy) return null;
+    
+    await this.releaseParticipantCount(groupBuy);
+    await this.settleGroupBuy(groupBuy);
+    return groupBuy;
+  }
+  
+  /**
+   * Check out the participants of a completed group who haven't been yet.
+   * Every step is safe to repeat, so a settlement interrupted by a crash is
+   * finished by settleUnsettledGroupBuys.
+   * @return {Boolean} whether the group is now fully settled
+   */
+  async settleGroupBuy(groupBuy) {
+    await this.setParticipationStatus(groupBuy._id, 'completed');
+    
+    const product = await Product.findById(groupBuy.productId);
+    
+    // Participants are settled one at a time so a declined card only
+    // affects its owner
+    for (const participant of groupBuy.participants) {
+      await this.checkoutParticipant(groupBuy, participant, product);
+    }
+    
+    const result = await GroupBuy.updateOne(
+      {
+        _id: groupBuy._id,
+        settledAt: null,
+        $nor: [
+          { 'participants.reservationStatus': 'held' },
+          { 'participants.orderStatus': 'pending' }
+        ]
+      },
+      { $set: { settledAt: new Date() } }
+    );
+    
+    const modified = result.modifiedCount !== undefined ? result.modifiedCount : result.nModified;
+    return modified > 0;
+  }
+  
+  /**
+   * Finish settling completed groups whose settlement was interrupted or
+   * whose orders failed to place. Groups completed within the grace period
+   * are left to the request that is completing them.
+   * Run periodically by the scheduler (see scheduledJobs)
+   * @return {Number} how many groups were fully settled
+   */
+  async settleUnsettledGroupBuys(now = new Date(), graceMinutes = SETTLEMENT_GRACE_MINUTES) {
+    try {
+      const groupBuys = await GroupBuy.find({
+        status: 'completed',
+        settledAt: null,
+        completedAt: { $lte: new Date(now.getTime() - graceMinutes * 60 * 1000) }
+      }).limit(100);
+      
+      let settled = 0;
+      
+      for (const groupBuy of groupBuys) {
+        if (await this.settleGroupBuy(groupBuy)) settled++;
+      }
+      
+      return settled;
+    } catch (error) {
+      console.error('Error settling completed group buys:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Capture a participant's payment, turn their held stock into sold stock
+   * and place their order. A failed capture releases their stock instead.
+   * Consuming the stock marks the order pending; it only becomes placed once
+   * the order exists, so a participant is never charged without one.
+   */
+  async checkoutParticipant(groupBuy, participant, product) {
+    if (participant.reservationStatus === 'held') {
+      if (!product) {
+        await this.failParticipantPayment(groupBuy, participant, 'Product is no longer available');
+        return;
+      }
+      
+      const unitPrice = this.discountedPrice(groupBuy.unitPrice || product.price, groupBuy.discountPercent);
+      
+      if (participant.payment && participant.payment.status === 'authorized') {
+        try {
+          const capture = await PaymentService.capture(participant.payment, unitPrice * participant.quantity);
+          
+          await this.updatePaymentStatus(groupBuy._id, participant, 'captured', {
+            capturedAmount: capture.amount,
+            transactionId: capture.transactionId,
+            capturedAt: new Date()
+          });
+        } catch (error) {
+          await this.failParticipantPayment(groupBuy, participant, error.message);
+          return;
+        }
+      }
+      
+      await this.consumeReservations(groupBuy, [participant]);
+    }
+    
+    if (participant.orderStatus === 'pending') {
+      await this.placeParticipantOrder(groupBuy, participant, product);
+    }
+  }
+  
+  /**
+   * Place a pending participant's order and mark it placed. Placing is
+   * idempotent per participant, and only the call that marks the order
+   * placed sends the notification and credits the referral.
+   */
+  async placeParticipantOrder(groupBuy, participant, product) {
+    try {
+      if (!product) {
+        throw new Error('Product is no longer available');
+      }
+      
+      const payment = participant.payment && participant.payment.status === 'captured'
+        ? {
+          provider: participant.payment.provider,
+          authorizationId: participant.payment.authorizationId,
+          transactionId: participant.payment.transactionId,
+          amount: participant.payment.capturedAmount,
+          currency: participant.payment.currency,
+          capturedAt: participant.payment.capturedAt
+        }
+        : null;
+      
+      const order = await CheckoutService.placeGroupBuyOrder(participant.userId, groupBuy, product, {
+        quantity: participant.quantity,
+        unitPrice: this.discountedPrice(groupBuy.unitPrice || product.price, groupBuy.discountPercent),
+        payment
+      });
+      
+      const result = await GroupBuy.updateOne(
+        {
+          _id: groupBuy._id,
+          participants: { $elemMatch: { _id: participant._id, orderStatus: 'pending' } }
+        },
+        { $set: { 'participants.$.orderStatus': 'placed', 'participants.$.orderId': order._id } }
+      );
+      
+      const modified = result.modifiedCount !== undefined ? result.modifiedCount : result.nModified;
+      if (modified === 0) return;
+      
+      participant.orderStatus = 'placed';
+      participant.orderId = order._id;
+      
+      NotificationService.sendGroupBuyingNotification(
+        participant.userId,
+        groupBuy,
+        'group_buy_success',
+        { orderId: order._id, amount: order.total }
+      );
+      
+      if (participant.referredBy) {
+        await this.creditReferral(groupBuy, participant, order);
+      }
+    } catch (error) {
+      // The order stays pending and settleUnsettledGroupBuys tries again
+      console.error(`Error placing order for group buy ${groupBuy._id} participant ${participant.userId}:`, error);
+    }
+  }
+  
+  /**
+   * Drop a participant whose payment could not be collected
+   */
+  async failParticipantPayment(groupBuy, participant, reason) {
+    const payment = participant.payment;
+    
+    if (await this.updatePaymentStatus(groupBuy._id, participant, 'failed', { failureReason: reason })) {
+      await PaymentService.void(payment);
+    }
+    
+    await this.releaseReservations(groupBuy, [participant]);
+    
+    await User.updateOne(
+      { _id: participant.userId, 'groupBuyingParticipation.groupId': groupBuy._id },
+      { $set: { 'groupBuyingParticipation.$.status': 'payment_failed' } }
+    );
+    
+    NotificationService.sendGroupBuyingNotification(
+      participant.userId,
+      groupBuy,
+      'group_buy_payment_failed',
+      { reason }
+    );
+  }
+  
+  /**
+   * Authorize a participant's share at the group's starting discount
+   */
+  async authorizeParticipant(groupBuy, userId, quantity, paymentMethod, product = null) {
+    const basePrice = groupBuy.unitPrice || product.price;
+    const startingDiscount = groupBuy.tiers.length > 0
+      ? groupBuy.tiers[0].discountPercent
+      : groupBuy.discountPercent;
+    
+    return PaymentService.authorize(
+      this.discountedPrice(basePrice, startingDiscount) * quantity,
+      paymentMethod,
+      `group-buy:${groupBuy._id}:${userId}`
+    );
+  }
+  
+  discountedPrice(price, discountPercent) {
+    return +(price * (1 - discountPercent / 100)).toFixed(2);
+  }
+  
+  /**
+   * Void the payment holds of the given participants (all by default)
+   */
+  async voidAuthorizations(groupBuy, participants = groupBuy.participants) {
+    for (const participant of participants) {
+      const payment = participant.payment;
+      
+      if (await this.updatePaymentStatus(groupBuy._id, participant, 'voided')) {
+        await PaymentService.void(payment);
+      }
+    }
+  }
+  
+  /**
+   * Move one participant's payment out of 'authorized'
+   * @return {Boolean} whether this call made the change
+   */
+  async updatePaymentStatus(groupBuyId, participant, status, fields = {}) {
+    if (!participant.payment || participant.payment.status !== 'authorized') return false;
+    
+    const update = { 'participants.$.payment.status': status };
+    Object.keys(fields).forEach(field => {
+      update[`participants.$.payment.${field}`] = fields[field];
+    });
+    
+    const result = await GroupBuy.updateOne(
+      {
+        _id: groupBuyId,
+        participants: { $elemMatch: { _id: participant._id, 'payment.status': 'authorized' } }
+      },
+      { $set: update }
+    );
+    
+    const modified = result.modifiedCount !== undefined ? result.modifiedCount : result.nModified;
+    if (modified > 0) {
+      participant.payment.status = status;
+      Object.assign(participant.payment, fields);
+      return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Discount tiers for a new group: threshold gives the base discount,
+   * product tiers above it add bigger ones
+   */
+  buildTiers(product) {
+    const { threshold, discountPercent, tiers = [] } = product.groupBuying;
+    
+    const extraTiers = tiers
+      .filter(tier => tier.minParticipants > threshold)
+      .sort((a, b) => a.minParticipants - b.minParticipants)
+      .map(tier => ({ minParticipants: tier.minParticipants, discountPercent: tier.discountPercent }));
+    
+    return [{ minParticipants: threshold, discountPercent }, ...extraTiers];
+  }
+  
+  /**
+   * Move stock into the product's reserved pool, failing if there isn't enough
+   */
+  async reserveStock(productId, quantity) {
+    const product = await Product.findOneAndUpdate(
+      { _id: productId, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity, 'groupBuying.reservedStock': quantity } },
+      { new: true }
+    );
+    
+    if (!product) {
+      throw new Error('Not enough stock left for this group buy');
+    }
+    
+    return product;
+  }
+  
+  /**
+   * Move stock from the reserved pool back to available stock
+   */
+  async returnStock(productId, quantity) {
+    await Product.findByIdAndUpdate(productId, {
+      $inc: { stock: quantity, 'groupBuying.reservedStock': -quantity }
+    });
+  }
+  
+  /**
+   * Return held stock for the given participants (all by default) to the
+   * product. Each reservation flips from held exactly once, so concurrent
+   * releases can't return the same stock twice.
+   */
+  async releaseReservations(groupBuy, participants = groupBuy.participants) {
+    for (const participant of participants) {
+      if (await this.settleReservation(groupBuy._id, participant, 'released')) {
+        await this.returnStock(groupBuy.productId, participant.quantity);
+      }
+    }
+  }
+  
+  /**
+   * Turn held stock into sold stock when a group completes. Each participant
+   * whose stock is consumed is owed an order, so is marked order pending in
+   * the same update.
+   */
+  async consumeReservations(groupBuy, participants = groupBuy.participants) {
+    let quantity = 0;
+    
+    for (const participant of participants) {
+      if (await this.settleReservation(groupBuy._id, participant, 'consumed', { orderStatus: 'pending' })) {
+        quantity += participant.quantity;
+      }
+    }
+    
+    if (quantity > 0) {
+      await Product.findByIdAndUpdate(groupBuy.productId, {
+        $inc: { 'groupBuying.reservedStock': -quantity }
+      });
+    }
+  }
+  
+  /**
+   * Move one participant's reservation out of 'held'
+   * @return {Boolean} whether this call made the change
+   */
+  async settleReservation(groupBuyId, participant, reservationStatus, fields = {}) {
+    if (participant.reservationStatus !== 'held') return false;
+    
+    const update = { 'participants.$.reservationStatus': reservationStatus };
+    Object.keys(fields).forEach(field => {
+      update[`participants.$.${field}`] = fields[field];
+    });
+    
+    const result = await GroupBuy.updateOne(
+      {
+        _id: groupBuyId,
+        participants: { $elemMatch: { _id: participant._id, reservationStatus: 'held' } }
+      },
+      { $set: update }
+    );
+    
+    const modified = result.modifiedCount !== undefined ? result.modifiedCount : result.nModified;
+    if (modified > 0) {
+      participant.reservationStatus = reservationStatus;
+      Object.assign(participant, fields);
+      return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Calculate the environmental impact of a group buy. Shipping is compared
+   * per participant: a separate parcel each versus one consolidated
+   * shipment per cluster of nearby deliveries or shared pickup point.
+   * Transport emissions are distance based when the product has a dispatch
+   * location and participants have located addresses.
    */
   async calculateGroupBuyImpact(groupBuyId) {
     try {
@@ -253,17 +1720,73 @@ class GroupBuyingService {
         throw new Error('Product not found');
       }
       
+      await EmissionFactorService.ensureLoaded();
+      
       const participantsCount = groupBuy.participants.length;
       const productCarbonFootprint = product.sustainability.carbonFootprint || 10;
       
-      // Calculate shipping emissions saved
-      // Individual shipping vs. consolidated shipping
-      const individualShippingEmissions = participantsCount * 2.5; // 2.5kg CO2 per individual shipment (average)
-      const consolidatedShippingEmissions = 2.5 + ((participantsCount - 1) * 0.5); // Base + incremental
+      // kg CO2e per individual shipment, and per extra parcel added to a consolidated one
+      const shipmentFactor = EmissionFactorService.getValue('shipment:parcel', 'shipment');
+      const consolidatedFactor = EmissionFactorService.getValue('shipment:consolidated-additional', 'shipment');
+      // kg CO2e per tonne-km of line haul, and per km driven by a delivery van
+      const roadFactor = EmissionFactorService.getValue('transport:road', 'tonne-km');
+      const vanFactor = EmissionFactorService.getValue('transport:delivery-van', 'km');
+      
+      const origin = Geo.isValidCoordinates(product.groupBuying.dispatchLocation)
+        ? product.groupBuying.dispatchLocation
+        : null;
+      const parcelMassKg = this.getParcelMassKg(product);
+      
+      // Line haul from the dispatch location; unknown distances count as zero
+      // on both sides of the comparison
+      const lineHaul = (coordinates, massKg) => (origin && coordinates
+        ? Geo.distanceKm(origin, coordinates) * (massKg / 1000) * roadFactor
+        : 0);
+      
+      // Individual shipping: every participant gets their own parcel and van stop
+      const individualShippingEmissions = groupBuy.participants.reduce((sum, participant) => {
+        const coordinates = this.getDeliveryCoordinates(participant);
+        return sum + shipmentFactor +
+          lineHaul(coordinates, parcelMassKg * participant.quantity) +
+          LAST_MILE_KM * vanFactor;
+      }, 0);
+      
+      // Consolidated shipping: one shipment per cluster
+      const clusters = this.buildShippingClusters(groupBuy).map(cluster => {
+        const count = cluster.members.length;
+        const quantity = cluster.members.reduce((sum, member) => sum + member.participant.quantity, 0);
+        
+        // Home clusters are one van round from the cluster seed to each address
+        const lastMileKm = cluster.type === 'home'
+          ? LAST_MILE_KM + cluster.members.reduce(
+            (sum, member) => sum + Geo.distanceKm(cluster.center, member.coordinates), 0
+          )
+          : LAST_MILE_KM;
+        
+        const emissions = shipmentFactor + (count - 1) * consolidatedFactor +
+          lineHaul(cluster.center, parcelMassKg * quantity) +
+          lastMileKm * vanFactor;
+        
+        return {
+          type: cluster.type,
+          pickupPointId: cluster.pickupPointId,
+          center: cluster.center,
+          participants: count,
+          distanceFromOriginKm: origin && cluster.center
+            ? +Geo.distanceKm(origin, cluster.center).toFixed(1)
+            : null,
+          lastMileKm: +lastMileKm.toFixed(1),
+          emissions: +emissions.toFixed(3)
+        };
+      });
+      
+      const consolidatedShippingEmissions = clusters.reduce((sum, cluster) => sum + cluster.emissions, 0);
       const shippingEmissionsSaved = individualShippingEmissions - consolidatedShippingEmissions;
       
-      // Calculate packaging materials saved
-      const packagingSaved = participantsCount * 0.2; // 0.2kg packaging materials per order (average)
+      // Packaging is only saved where parcels are merged
+      const packagingSaved = clusters.reduce(
+        (sum, cluster) => sum + (cluster.participants - 1) * PACKAGING_PER_PARCEL_KG, 0
+      );
       
       // Calculate total product-related carbon savings
       const productCarbonSavings = (productCarbonFootprint * participantsCount * groupBuy.carbonSavingPercent) / 100;
@@ -275,17 +1798,69 @@ class GroupBuyingService {
       return {
         groupBuyId: groupBuy._id,
         participantsCount,
-        shippingEmissionsSaved,
-        packagingSaved,
+        shipmentsCount: clusters.length,
+        clusters,
+        individualShippingEmissions: +individualShippingEmissions.toFixed(3),
+        consolidatedShippingEmissions: +consolidatedShippingEmissions.toFixed(3),
+        shippingEmissionsSaved: +shippingEmissionsSaved.toFixed(3),
+        packagingSaved: +packagingSaved.toFixed(3),
         productCarbonSavings,
-        totalCarbonSaved,
-        totalMaterialsSaved
+        totalCarbonSaved: +totalCarbonSaved.toFixed(3),
+        totalMaterialsSaved: +totalMaterialsSaved.toFixed(3)
       };
     } catch (error) {
       console.error('Error calculating group buy impact:', error);
       throw error;
     }
   }
+  
+  /**
+   * Group participants into shipments: one per pickup point, one per
+   * cluster of nearby home addresses, and a separate one for each
+   * participant without a known location
+   */
+  buildShippingClusters(groupBuy) {
+    const clusters = [];
+    const pickupClusters = new Map();
+    const homeDeliveries = [];
+    
+    groupBuy.participants.forEach(participant => {
+      const delivery = participant.delivery || {};
+      const coordinates = this.getDeliveryCoordinates(participant);
+      
+      if (!coordinates) {
+        clusters.push({ type: 'unlocated', center: null, members: [{ participant, coordinates: null }] });
+      } else if (delivery.method === 'pickup') {
+        const key = delivery.pickupPointId.toString();
+        
+        if (!pickupClusters.has(key)) {
+          const cluster = { type: 'pickup', pickupPointId: delivery.pickupPointId, center: coordinates, members: [] };
+          pickupClusters.set(key, cluster);
+          clusters.push(cluster);
+        }
+        pickupClusters.get(key).members.push({ participant, coordinates });
+      } else {
+        homeDeliveries.push({ participant, coordinates });
+      }
+    });
+    
+    Geo.clusterByDistance(homeDeliveries, CLUSTER_RADIUS_KM).forEach(cluster => {
+      clusters.push({ type: 'home', ...cluster });
+    });
+    
+    return clusters;
+  }
+  
+  getDeliveryCoordinates(participant) {
+    const coordinates = participant.delivery && participant.delivery.coordinates;
+    return Geo.isValidCoordinates(coordinates) ? Array.from(coordinates) : null;
+  }
+  
+  getParcelMassKg(product) {
+    const billOfMaterials = (product.lifecycle && product.lifecycle.billOfMaterials) || [];
+    const massKg = billOfMaterials.reduce((sum, line) => sum + (line.massKg || 0), 0);
+    return massKg > 0 ? massKg : DEFAULT_PARCEL_MASS_KG;
+  }
 }
 
 module.exports = new GroupBuyingService();
\ No newline at end of file
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const InteractionEvent = require('../models/InteractionEvent');
+
+// Client timestamps are trusted only within this window
+const MAX_EVENT_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Ingests user interaction events (views, searches, cart and wishlist
+ * changes, packaging choices, group buy joins) and answers queries over
+ * them. Events are buffered and written in batches; they are best-effort
+ * signal, so a failed batch is logged rather than retried.
+ */
+class InteractionEventService {
+  constructor() {
+    this.buffer = [];
+    this.maxBatchSize = 100;
+    this.maxBufferSize = 5000;
+    this.flushIntervalMs = 2000;
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Validate and queue a batch of events from one user
+   * @param {String} userId
+   * @param {Array} events - [{ type, productId, query, packagingOptionId, groupBuyId, quantity, sessionId, occurredAt }]
+   * @param {Object} options - { source }
+   * @return {Object} { accepted, rejected: [{ index, error }] }
+   */
+  trackBatch(userId, events, { source = 'web' } = {}) {
+    const rejected = [];
+    let accepted = 0;
+
+    events.forEach((event, index) => {
+      const error = this.validate(event);
+
+      if (error) {
+        rejected.push({ index, error });
+        return;
+      }
+
+      this.buffer.push(this.normalize(userId, event, source));
+      accepted++;
+    });
+
+    this.scheduleFlush();
+    return { accepted, rejected };
+  }
+
+  /**
+   * Queue a single event, e.g. from server-side code
+   */
+  track(userId, event, options = {}) {
+    const { rejected } = this.trackBatch(userId, [event], options);
+
+    if (rejected.length > 0) {
+      console.error(`Dropped ${event.type} event: ${rejected[0].error}`);
+    }
+  }
+
+  validate(event) {
+    if (!event || !InteractionEvent.EVENT_TYPES.includes(event.type)) {
+      return `Unknown event type "${event && event.type}"`;
+    }
+
+    if (event.type === 'search') {
+      if (typeof event.query !== 'string' || !event.query.trim()) {
+        return 'Search events need a query';
+      }
+    } else if (!mongoose.Types.ObjectId.isValid(event.productId)) {
+      return `${event.type} events need a valid productId`;
+    }
+
+    if (event.type === 'packaging_select' && !mongoose.Types.ObjectId.isValid(event.packagingOptionId)) {
+      return 'packaging_select events need a valid packagingOptionId';
+    }
+
+    return null;
+  }
+
+  normalize(userId, event, source) {
+    const now = Date.now();
+    const occurredAt = event.occurredAt ? new Date(event.occurredAt).getTime() : NaN;
+    const trusted = occurredAt > now - MAX_EVENT_AGE_MS && occurredAt < now + MAX_CLOCK_SKEW_MS;
+
+    return {
+      userId,
+      type: event.type,
+      productId: event.productId || undefined,
+      query: event.type === 'search' ? event.query.trim().slice(0, 200) : undefined,
+      packagingOptionId: event.packagingOptionId || undefined,
+      groupBuyId: mongoose.Types.ObjectId.isValid(event.groupBuyId) ? event.groupBuyId : undefined,
+      quantity: Number.isFinite(Number(event.quantity)) ? Number(event.quantity) : undefined,
+      sessionId: event.sessionId ? String(event.sessionId).slice(0, 100) : undefined,
+      source,
+      createdAt: trusted ? new Date(occurredAt) : new Date(now)
+    };
+  }
+
+  scheduleFlush() {
+    if (this.buffer.length >= this.maxBatchSize) {
+      this.flush();
+      return;
+    }
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      if (this.timer.unref) this.timer.unref();
+    }
+  }
+
+  /**
+   * Write buffered events. Call on shutdown so queued events aren't lost.
+   * @return {Number} events written
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    // One flush at a time; later calls wait for it and then write what's left
+    if (this.flushing) {
+      await this.flushing;
+      return this.buffer.length > 0 ? this.flush() : 0;
+    }
+
+    let written = 0;
+    this.flushing = (async () => {
+      while (this.buffer.length > 0) {
+        const batch = this.buffer.splice(0, this.maxBatchSize);
+
+        try {
+          await InteractionEvent.insertMany(batch, { ordered: false });
+          written += batch.length;
+        } catch (error) {
+          written += error.insertedDocs ? error.insertedDocs.length : 0;
+          console.error(`Error writing interaction events (${batch.length} in batch):`, error.message);
+        }
+      }
+    })();
+
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+
+    // Keep memory bounded if the database is unreachable
+    if (this.buffer.length > this.maxBufferSize) {
+      this.buffer.splice(0, this.buffer.length - this.maxBufferSize);
+    }
+
+    return written;
+  }
+
+  /**
+   * A user's recent events, newest first
+   * @param {Object} options - { types, since, limit }
+   */
+  async getUserEvents(userId, { types = null, since = null, limit = 100 } = {}) {
+    const query = { userId };
+    if (types) query.type = { $in: types };
+    if (since) query.createdAt = { $gte: since };
+
+    return InteractionEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Distinct products each user touched with the given event types
+   * @return {Map} userId -> Set of productIds
+   */
+  async getProductsByUser({ types, since = null, userIds = null } = {}) {
+    const match = { type: { $in: types }, productId: { $exists: true } };
+    if (since) match.createdAt = { $gte: since };
+    if (userIds) match.userId = { $in: userIds.map(id => mongoose.Types.ObjectId(id)) };
+
+    const rows = await InteractionEvent.aggregate([
+      { $match: match },
+      { $group: { _id: '$userId', productIds: { $addToSet: '$productId' } } }
+    ]);
+
+    return new Map(rows.map(row => [
+      row._id.toString(),
+      new Set(row.productIds.map(productId => productId.toString()))
+    ]));
+  }
+
+  /**
+   * Event counts and unique users per type for one product
+   */
+  async getProductEventSummary(productId, { since = null } = {}) {
+    const match = { productId: mongoose.Types.ObjectId(productId) };
+    if (since) match.createdAt = { $gte: since };
+
+    const rows = await InteractionEvent.aggregate([
+      { $match: match },
+      { $group: { _id: '$type', count: { $sum: 1 }, users: { $addToSet: '$userId' } } },
+      { $project: { _id: 0, type: '$_id', count: 1, uniqueUsers: { $size: '$users' } } }
+    ]);
+
+    const byType = {};
+    rows.forEach(row => {
+      byType[row.type] = { count: row.count, uniqueUsers: row.uniqueUsers };
+    });
+
+    const views = byType.view ? byType.view.uniqueUsers : 0;
+    const cartAdds = byType.cart_add ? byType.cart_add.uniqueUsers : 0;
+
+    return {
+      productId,
+      byType,
+      viewToCartRate: views > 0 ? +(cartAdds / views).toFixed(3) : null
+    };
+  }
+
+  /**
+   * Most frequent search queries
+   */
+  async getTopSearches({ since = null, limit = 20 } = {}) {
+    const match = { type: 'search' };
+    if (since) match.createdAt = { $gte: since };
+
+    return InteractionEvent.aggregate([
+      { $match: match },
+      { $group: { _id: { $toLower: '$query' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: limit },
+      { $project: { _id: 0, query: '$_id', count: 1 } }
+    ]);
+  }
+}
+
+module.exports = new InteractionEventService();
@@ -0,0 +1,62 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Local SMTP stand-in. Writes each message to an outbox directory as an
+ * .eml file instead of talking to a mail server.
+ */
+class LocalSmtpTransport {
+  constructor(outboxDir) {
+    this.outboxDir = outboxDir;
+  }
+
+  async sendMail({ from, to, subject, text }) {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const raw = [
+      `Message-ID: <${messageId}@green-commerce.local>`,
+      `Date: ${new Date().toUTCString()}`,
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text
+    ].join('\r\n');
+
+    await fs.writeFile(path.join(this.outboxDir, `${messageId}.eml`), raw);
+    return { messageId };
+  }
+}
+
+class EmailChannel {
+  constructor() {
+    this.name = 'email';
+    this.from = process.env.MAIL_FROM || 'Green Commerce <no-reply@green-commerce.local>';
+    this.transport = new LocalSmtpTransport(process.env.MAIL_OUTBOX_DIR || './mail-outbox');
+  }
+
+  /**
+   * Swap the transport (anything with a sendMail({ from, to, subject, text }) method)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  isEnabledFor(user) {
+    const preferences = user.notificationPreferences || {};
+    return Boolean(user.email) && preferences.email !== false;
+  }
+
+  async send(notification, user) {
+    return this.transport.sendMail({
+      from: this.from,
+      to: user.email,
+      subject: notification.title,
+      text: `Hi ${user.name},\n\n${notification.message}\n\n- The Green Commerce team`
+    });
+  }
+}
+
+module.exports = new EmailChannel();
\ No newline at end of file
@@ -0,0 +1,25 @@
+const EventEmitter = require('events');
+
+/**
+ * In-app channel. The notification document itself is the inbox entry;
+ * this channel only pushes it to any live listeners (e.g. a websocket layer).
+ */
+class InAppChannel extends EventEmitter {
+  constructor() {
+    super();
+    this.name = 'inApp';
+  }
+
+  isEnabledFor() {
+    return true;
+  }
+
+  async send(notification) {
+    this.emit('notification', {
+      userId: notification.userId.toString(),
+      notification
+    });
+  }
+}
+
+module.exports = new InAppChannel();
\ No newline at end of file
@@ -0,0 +1,120 @@
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+// IPv4 ranges a webhook may not reach: [first octets, prefix length]
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const ipv4ToInt = address => address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+
+const isBlockedIPv4 = address => BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+  const size = 2 ** (32 - bits);
+  return Math.floor(ipv4ToInt(address) / size) === Math.floor(ipv4ToInt(base) / size);
+});
+
+/**
+ * Whether an address is loopback, private, link-local or otherwise not a
+ * public internet host
+ */
+const isBlockedAddress = address => {
+  if (net.isIPv4(address)) return isBlockedIPv4(address);
+
+  const normalized = address.toLowerCase();
+  // IPv4-mapped, in dotted (::ffff:10.0.0.1) or hex (::ffff:a00:1) form
+  const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isBlockedIPv4(mapped[1]);
+  const mappedHex = normalized.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const value = parseInt(mappedHex[1], 16) * 65536 + parseInt(mappedHex[2], 16);
+    return isBlockedIPv4([24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.'));
+  }
+
+  return normalized === '::' ||
+    normalized === '::1' ||
+    /^f[cd]/.test(normalized) || // unique local, fc00::/7
+    /^fe[89ab]/.test(normalized) || // link-local, fe80::/10
+    /^ff/.test(normalized); // multicast
+};
+
+// Checks every address the host resolves to at connection time, so a DNS
+// answer that changes after validation can't point the request inward
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Webhook host resolves to a disallowed address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Webhook channel. POSTs the notification as JSON to the user's
+ * configured webhook URL. Only https URLs on public hosts are called.
+ */
+class WebhookChannel {
+  constructor() {
+    this.name = 'webhook';
+    this.timeout = 5000;
+    this.agent = new https.Agent({ lookup: safeLookup });
+  }
+
+  isEnabledFor(user) {
+    const preferences = user.notificationPreferences || {};
+    return Boolean(preferences.webhookUrl) && this.parseUrl(preferences.webhookUrl) !== null;
+  }
+
+  parseUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'https:' ? url : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async send(notification, user) {
+    const url = this.parseUrl(user.notificationPreferences.webhookUrl);
+    if (!url) {
+      throw new Error('Webhook URL must be a valid https URL');
+    }
+
+    // Literal IPs skip the lookup, so check them here
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isBlockedAddress(host)) {
+      throw new Error(`Webhook URL points to a disallowed address (${host})`);
+    }
+
+    await axios.post(url.toString(), {
+      id: notification._id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data,
+      createdAt: notification.createdAt
+    }, {
+      timeout: this.timeout,
+      httpsAgent: this.agent,
+      // A redirect could lead to http or an internal host
+      maxRedirects: 0,
+      proxy: false
+    });
+  }
+}
+
+module.exports = new WebhookChannel();
@@ -0,0 +1,172 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { render } = require('./notificationTemplates');
+const inAppChannel = require('./notificationChannels/inAppChannel');
+const emailChannel = require('./notificationChannels/emailChannel');
+const webhookChannel = require('./notificationChannels/webhookChannel');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class NotificationService {
+  constructor() {
+    this.channels = {};
+    this.maxAttempts = 3;
+    this.retryDelayMs = 500;
+
+    [inAppChannel, emailChannel, webhookChannel].forEach(channel => this.registerChannel(channel));
+  }
+
+  /**
+   * Register a channel adapter. A channel needs a name, isEnabledFor(user)
+   * and an async send(notification, user).
+   */
+  registerChannel(channel) {
+    this.channels[channel.name] = channel;
+  }
+
+  /**
+   * Create an inbox notification from a template and deliver it on every
+   * channel the user has enabled
+   * @param {String} userId - Recipient
+   * @param {String} type - Template / notification type
+   * @param {Object} data - Template data, also stored on the notification
+   * @return {Object} the saved notification, or null if the user does not exist
+   */
+  async notify(userId, type, data = {}) {
+    try {
+      const user = await User.findById(userId);
+
+      if (!user) {
+        return null;
+      }
+
+      const { title, message } = render(type, data);
+
+      const notification = new Notification({
+        userId: user._id,
+        type,
+        title,
+        message,
+        data
+      });
+
+      const channels = Object.values(this.channels);
+      notification.deliveries = channels.map(channel => ({
+        channel: channel.name,
+        status: channel.isEnabledFor(user) ? 'pending' : 'skipped'
+      }));
+
+      await notification.save();
+
+      for (const delivery of notification.deliveries) {
+        if (delivery.status === 'skipped') continue;
+        await this.deliverWithRetry(this.channels[delivery.channel], delivery, notification, user);
+      }
+
+      await notification.save();
+      return notification;
+    } catch (error) {
+      console.error('Error sending notification:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Send through one channel, retrying with exponential backoff
+   */
+  async deliverWithRetry(channel, delivery, notification, user) {
+    while (delivery.attempts < this.maxAttempts) {
+      delivery.attempts++;
+
+      try {
+        await channel.send(notification, user);
+        delivery.status = 'sent';
+        delivery.deliveredAt = new Date();
+        delivery.lastError = undefined;
+        return;
+      } catch (error) {
+        delivery.lastError = error.message;
+
+        if (delivery.attempts < this.maxAttempts) {
+          await wait(this.retryDelayMs * Math.pow(2, delivery.attempts - 1));
+        }
+      }
+    }
+
+    delivery.status = 'failed';
+    console.error(`Notification ${notification._id} failed on ${channel.name}: ${delivery.lastError}`);
+  }
+
+  /**
+   * Notify a group buy participant about a group buy event
+   */
+  async sendGroupBuyingNotification(userId, groupBuy, type, extra = {}) {
+    return this.notify(userId, type, {
+      ...extra,
+      groupBuyId: groupBuy._id,
+      productId: groupBuy.productId,
+      productName: groupBuy.productName,
+      discountPercent: groupBuy.discountPercent,
+      participantsCount: groupBuy.participants.length,
+      threshold: groupBuy.threshold,
+      maxCapacity: groupBuy.maxCapacity
+    });
+  }
+
+  /**
+   * Notify a user about newly earned badges
+   */
+  async sendBadgeNotifications(userId, badges) {
+    for (const badge of badges) {
+      await this.notify(userId, 'badge_earned', {
+        badgeName: badge.name,
+        badgeDescription: badge.description
+      });
+    }
+  }
+
+  /**
+   * Get a user's inbox, newest first
+   */
+  async getInbox(userId, { unreadOnly = false, limit = 20, before = null } = {}) {
+    const query = { userId };
+
+    if (unreadOnly) query.read = false;
+    if (before) query.createdAt = { $lt: new Date(before) };
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .select('-deliveries')
+        .sort({ createdAt: -1 })
+        .limit(limit),
+      Notification.countDocuments({ userId, read: false })
+    ]);
+
+    return { notifications, unreadCount };
+  }
+
+  /**
+   * Mark one notification as read
+   */
+  async markAsRead(userId, notificationId) {
+    return Notification.findOneAndUpdate(
+      { _id: notificationId, userId },
+      { $set: { read: true, readAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Mark every unread notification for a user as read
+   */
+  async markAllAsRead(userId) {
+    const result = await Notification.updateMany(
+      { userId, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    return result.modifiedCount !== undefined ? result.modifiedCount : result.nModified;
+  }
+}
+
+module.exports = new NotificationService();
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Notification templates keyed by notification type.
+ * Each template renders a title and message from event data.
+ */
+const templates = {
+  group_buy_success: ({ productName, discountPercent, amount }) => ({
+    title: 'Group Buy Successful!',
+    message: `Your group purchase for "${productName}" is complete! Your order has been placed with a ${discountPercent}% discount${amount !== undefined ? ` and you were charged ${amount.toFixed(2)}` : ''}.`
+  }),
+
+  group_buy_payment_failed: ({ productName, reason }) => ({
+    title: 'Group Buy Payment Failed',
+    message: `The group purchase for "${productName}" is complete, but we couldn't charge your payment method${reason ? ` (${reason})` : ''}. No order was placed and your reserved item has been released.`
+  }),
+
+  group_buy_threshold_reached: ({ productName, discountPercent, participantsCount, maxCapacity }) => ({
+    title: 'Group Buy Unlocked!',
+    message: `The group purchase for "${productName}" has reached its threshold and unlocked a ${discountPercent}% discount. ${maxCapacity - participantsCount} more spots are open - more participants can unlock bigger discounts.`
+  }),
+
+  group_buy_tier_unlocked: ({ productName, discountPercent }) => ({
+    title: 'Bigger Discount Unlocked!',
+    message: `More people joined the group purchase for "${productName}" - your discount is now ${discountPercent}%.`
+  }),
+
+  group_buy_participant_left: ({ productName, participantsCount, threshold }) => ({
+    title: 'A Participant Left Your Group Buy',
+    message: participantsCount >= threshold
+      ? `Someone left the group purchase for "${productName}". It still has ${participantsCount} participants and remains unlocked.`
+      : `Someone left the group purchase for "${productName}". ${threshold - participantsCount} more participants are now needed to unlock the discount.`
+  }),
+
+  group_buy_initiator_transferred: ({ productName }) => ({
+    title: 'You Now Lead a Group Buy',
+    message: `The organiser of the group purchase for "${productName}" left, so you are now its initiator. You can invite others or cancel the group.`
+  }),
+
+  group_buy_cancelled: ({ productName, reason }) => ({
+    title: 'Group Buy Cancelled',
+    message: `The group purchase for "${productName}" was cancelled${reason ? `: ${reason}` : ''}. Any reserved stock has been released and your payment hold has been voided.`
+  }),
+
+  group_buy_expiry_reminder: ({ productName, participantsCount, threshold, hoursLeft }) => ({
+    title: 'Group Buy Closing Soon',
+    message: `Only ${hoursLeft}h left on the group purchase for "${productName}" - ${threshold - participantsCount} more participants are needed to unlock the discount. Invite a friend!`
+  }),
+
+  group_buy_expired: ({ productName, participantsCount, threshold }) => ({
+    title: 'Group Buy Expired',
+    message: `The group purchase for "${productName}" expired with ${participantsCount} of ${threshold} participants. Your payment hold has been voided.`
+  }),
+
+  referral_credit_earned: ({ productName, creditKg }) => ({
+    title: 'Referral Bonus Earned',
+    message: `A friend you invited completed the group purchase for "${productName}". ${creditKg} kg CO2e has been added to your carbon savings.`
+  }),
+
+  badge_earned: ({ badgeName, badgeDescription }) => ({
+    title: `New Badge: ${badgeName}`,
+    message: `Congratulations! You earned the "${badgeName}" badge. ${badgeDescription}`
+  })
+};
+
+/**
+ * Render a notification template
+ * @param {String} type - Notification type
+ * @param {Object} data - Template data
+ * @return {Object} { title, message }
+ */
+function render(type, data = {}) {
+  const template = templates[type];
+
+  if (!template) {
+    throw new Error(`Unknown notification template: ${type}`);
+  }
+
+  return template(data);
+}
+
+module.exports = { render, templates };
\ No newline at end of file
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const FakePaymentAuthorization = require('../../models/FakePaymentAuthorization');
+
+/**
+ * Local stand-in for a card processor, only meant for development and
+ * local testing. Authorizations are stored in the database so they survive
+ * restarts, and status changes are conditional updates so two instances
+ * can't capture or void the same hold.
+ *
+ * Test payment methods:
+ *   pm_card_declined       - authorization is declined
+ *   pm_card_capture_fails  - authorizes, but the capture is declined
+ * Any other payment method succeeds.
+ */
+class FakePaymentProvider {
+  constructor() {
+    this.name = 'fake';
+  }
+
+  async authorize({ amount, currency, paymentMethod, reference }) {
+    if (paymentMethod === 'pm_card_declined') {
+      throw new Error('Payment declined: card was declined');
+    }
+
+    const authorization = await FakePaymentAuthorization.create({
+      authorizationId: `auth_${crypto.randomBytes(8).toString('hex')}`,
+      amount,
+      currency,
+      paymentMethod,
+      reference
+    });
+
+    return { authorizationId: authorization.authorizationId, amount, currency };
+  }
+
+  async capture(authorizationId, amount) {
+    const authorization = await this.getAuthorization(authorizationId);
+
+    if (authorization.status === 'captured') {
+      return { transactionId: authorization.transactionId, amount: authorization.capturedAmount };
+    }
+    if (authorization.status !== 'authorized') {
+      throw new Error(`Cannot capture a ${authorization.status} authorization`);
+    }
+    if (amount > authorization.amount) {
+      throw new Error('Capture amount exceeds the authorized amount');
+    }
+    if (authorization.paymentMethod === 'pm_card_capture_fails') {
+      await FakePaymentAuthorization.updateOne(
+        { authorizationId, status: 'authorized' },
+        { $set: { status: 'failed' } }
+      );
+      throw new Error('Payment declined: insufficient funds');
+    }
+
+    const captured = await FakePaymentAuthorization.findOneAndUpdate(
+      { authorizationId, status: 'authorized' },
+      {
+        $set: {
+          status: 'captured',
+          capturedAmount: amount,
+          transactionId: `txn_${crypto.randomBytes(8).toString('hex')}`
+        }
+      },
+      { new: true }
+    );
+
+    // Someone else moved it first; report what they did
+    if (!captured) return this.capture(authorizationId, amount);
+
+    return { transactionId: captured.transactionId, amount };
+  }
+
+  async void(authorizationId) {
+    const voided = await FakePaymentAuthorization.findOneAndUpdate(
+      { authorizationId, status: { $ne: 'captured' } },
+      { $set: { status: 'voided' } }
+    );
+
+    if (!voided) {
+      await this.getAuthorization(authorizationId);
+      throw new Error('Cannot void a captured authorization');
+    }
+
+    return { authorizationId };
+  }
+
+  async getAuthorization(authorizationId) {
+    const authorization = await FakePaymentAuthorization.findOne({ authorizationId }).lean();
+
+    if (!authorization) {
+      throw new Error('Authorization not found');
+    }
+
+    return authorization;
+  }
+}
+
+module.exports = FakePaymentProvider;
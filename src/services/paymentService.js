@@ -0,0 +1,73 @@
+const FakePaymentProvider = require('./paymentProviders/fakePaymentProvider');
+
+/**
+ * Thin wrapper around the configured payment provider. A provider needs a
+ * name and three async methods:
+ *   authorize({ amount, currency, paymentMethod, reference }) -> { authorizationId, amount, currency }
+ *   capture(authorizationId, amount) -> { transactionId, amount }
+ *   void(authorizationId)
+ * Each throws on failure; declines use a message starting with "Payment declined".
+ * Capturing an already captured authorization must return the original
+ * capture, so an interrupted settlement can be retried.
+ */
+class PaymentService {
+  constructor() {
+    this.currency = process.env.PAYMENT_CURRENCY || 'USD';
+    this.provider = new FakePaymentProvider();
+  }
+
+  /**
+   * Swap the payment provider
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Place a hold on the buyer's payment method
+   * @return {Object} payment record to store with the purchase
+   */
+  async authorize(amount, paymentMethod, reference) {
+    if (!paymentMethod) {
+      throw new Error('Payment method is required');
+    }
+
+    const authorization = await this.provider.authorize({
+      amount: +amount.toFixed(2),
+      currency: this.currency,
+      paymentMethod,
+      reference
+    });
+
+    return {
+      provider: this.provider.name,
+      authorizationId: authorization.authorizationId,
+      authorizedAmount: authorization.amount,
+      currency: authorization.currency,
+      status: 'authorized'
+    };
+  }
+
+  /**
+   * Collect up to the authorized amount
+   */
+  async capture(payment, amount) {
+    return this.provider.capture(payment.authorizationId, +amount.toFixed(2));
+  }
+
+  /**
+   * Release a hold. Failures are logged rather than thrown: an unvoided
+   * authorization simply lapses at the processor.
+   */
+  async void(payment) {
+    try {
+      await this.provider.void(payment.authorizationId);
+      return true;
+    } catch (error) {
+      console.error(`Error voiding authorization ${payment.authorizationId}:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,132 @@
+// How strongly each interaction type signals interest in a product
+const INTERACTION_WEIGHTS = {
+  view: 1,
+  cart_add: 2,
+  wishlist_add: 2,
+  purchase: 3,
+  group_buy_join: 3
+};
+
+// Interactions that count as a conversion (the model's positive label)
+const CONVERSION_TYPES = ['purchase', 'group_buy_join'];
+
+const FEATURE_NAMES = [
+  'ecoScore',
+  'materialScore',
+  'lowCarbon',
+  'price',
+  'groupBuyingEnabled',
+  'userMinEcoScore',
+  'meetsMinEcoScore',
+  'preferredCategory',
+  'categoryAffinity',
+  'tagAffinity',
+  'viewedProduct',
+  'cartedProduct',
+  'popularity'
+];
+
+const logScale = (value, max) => (max > 0 ? Math.log1p(value) / Math.log1p(max) : 0);
+
+/**
+ * Turns (user, product) pairs into fixed-length feature vectors for the
+ * recommendation model. A user's affinity features never include their own
+ * interactions with the product being scored, so a purchase can't leak
+ * into the features used to predict it.
+ */
+class FeatureBuilder {
+  constructor() {
+    this.featureNames = FEATURE_NAMES;
+    this.conversionTypes = CONVERSION_TYPES;
+  }
+
+  /**
+   * Summarize a user's interactions for scoring
+   * @param {Object} user - User document or { sustainabilityPreferences }
+   * @param {Array} interactions - [{ productId, type }]
+   * @param {Map} products - productId -> { category, tags }
+   */
+  buildUserContext(user, interactions, products) {
+    const preferences = (user && user.sustainabilityPreferences) || {};
+    const context = {
+      minEcoScore: preferences.minEcoScore || 3,
+      preferredCategories: new Set(preferences.categories || []),
+      categoryWeights: new Map(),
+      tagWeights: new Map(),
+      totalWeight: 0,
+      byProduct: new Map()
+    };
+
+    interactions.forEach(interaction => {
+      const productId = interaction.productId.toString();
+      const product = products.get(productId);
+      const weight = INTERACTION_WEIGHTS[interaction.type] || 0;
+      if (!product || weight === 0) return;
+
+      if (!context.byProduct.has(productId)) {
+        context.byProduct.set(productId, { weight: 0, views: 0, cartAdds: 0, conversions: 0 });
+      }
+      const entry = context.byProduct.get(productId);
+      entry.weight += weight;
+      if (interaction.type === 'view') entry.views++;
+      if (interaction.type === 'cart_add') entry.cartAdds++;
+      if (CONVERSION_TYPES.includes(interaction.type)) entry.conversions++;
+
+      context.totalWeight += weight;
+      this.addWeight(context.categoryWeights, product.category, weight);
+      (product.tags || []).forEach(tag => this.addWeight(context.tagWeights, tag, weight));
+    });
+
+    return context;
+  }
+
+  /**
+   * Feature vector for one product given a user context
+   * @param {Object} product - { _id, price, category, tags, sustainability, groupBuying }
+   * @param {Object} context - from buildUserContext
+   * @param {Object} stats - { popularity: Map productId -> conversions, maxPopularity }
+   */
+  build(product, context, stats) {
+    const productId = product._id.toString();
+    const sustainability = product.sustainability || {};
+    const own = context.byProduct.get(productId) || { weight: 0, views: 0, cartAdds: 0, conversions: 0 };
+    const ecoScore = sustainability.ecoScore || 1;
+    const carbonFootprint = sustainability.carbonFootprint === null || sustainability.carbonFootprint === undefined
+      ? 50
+      : sustainability.carbonFootprint;
+
+    // Affinity from the user's other products only
+    const otherWeight = context.totalWeight - own.weight;
+    const categoryWeight = (context.categoryWeights.get(product.category) || 0) - own.weight;
+    const tags = product.tags || [];
+    const tagWeight = tags.reduce(
+      (sum, tag) => sum + Math.max(0, (context.tagWeights.get(tag) || 0) - own.weight), 0
+    );
+
+    // Popularity with this user's own conversions removed
+    const popularity = Math.max(0, (stats.popularity.get(productId) || 0) - own.conversions);
+
+    return [
+      ecoScore / 5,
+      (sustainability.materialScore || 1) / 5,
+      1 - Math.min(carbonFootprint, 100) / 100,
+      logScale(product.price || 0, 1000),
+      product.groupBuying && product.groupBuying.enabled ? 1 : 0,
+      context.minEcoScore / 5,
+      ecoScore >= context.minEcoScore ? 1 : 0,
+      context.preferredCategories.has(product.category) ? 1 : 0,
+      otherWeight > 0 ? Math.max(0, categoryWeight) / otherWeight : 0,
+      otherWeight > 0 && tags.length > 0 ? Math.min(1, tagWeight / (otherWeight * tags.length)) : 0,
+      logScale(own.views, 20),
+      own.cartAdds > 0 ? 1 : 0,
+      logScale(popularity, stats.maxPopularity)
+    ];
+  }
+
+  addWeight(weights, key, weight) {
+    if (!key) return;
+    weights.set(key, (weights.get(key) || 0) + weight);
+  }
+}
+
+module.exports = new FeatureBuilder();
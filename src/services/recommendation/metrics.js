@@ -0,0 +1,74 @@
+const round = value => (value === null ? null : +value.toFixed(4));
+
+/**
+ * Evaluation metrics for the recommendation model
+ */
+class Metrics {
+  /**
+   * Metrics for binary predictions against 0/1 labels
+   * @return {Object} { count, positiveRate, auc, logLoss, accuracy, precision, recall }
+   */
+  evaluateBinary(labels, scores, threshold = 0.5) {
+    const count = labels.length;
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+    let correct = 0;
+    let logLoss = 0;
+
+    labels.forEach((label, i) => {
+      const score = Math.min(Math.max(scores[i], 1e-7), 1 - 1e-7);
+      const predicted = scores[i] >= threshold ? 1 : 0;
+
+      if (predicted === label) correct++;
+      if (predicted === 1 && label === 1) truePositives++;
+      if (predicted === 1 && label === 0) falsePositives++;
+      if (predicted === 0 && label === 1) falseNegatives++;
+
+      logLoss -= label * Math.log(score) + (1 - label) * Math.log(1 - score);
+    });
+
+    const positives = labels.filter(label => label === 1).length;
+
+    return {
+      count,
+      positiveRate: count > 0 ? round(positives / count) : null,
+      auc: round(this.auc(labels, scores)),
+      logLoss: count > 0 ? round(logLoss / count) : null,
+      accuracy: count > 0 ? round(correct / count) : null,
+      precision: truePositives + falsePositives > 0 ? round(truePositives / (truePositives + falsePositives)) : null,
+      recall: truePositives + falseNegatives > 0 ? round(truePositives / (truePositives + falseNegatives)) : null
+    };
+  }
+
+  /**
+   * Area under the ROC curve (Mann-Whitney U, ties count half)
+   */
+  auc(labels, scores) {
+    const ranked = labels
+      .map((label, i) => ({ label, score: scores[i] }))
+      .sort((a, b) => a.score - b.score);
+
+    const positives = ranked.filter(item => item.label === 1).length;
+    const negatives = ranked.length - positives;
+    if (positives === 0 || negatives === 0) return null;
+
+    // Average rank per tie group
+    let rankSum = 0;
+    let i = 0;
+    while (i < ranked.length) {
+      let j = i;
+      while (j + 1 < ranked.length && ranked[j + 1].score === ranked[i].score) j++;
+
+      const averageRank = (i + j) / 2 + 1;
+      for (let k = i; k <= j; k++) {
+        if (ranked[k].label === 1) rankSum += averageRank;
+      }
+      i = j + 1;
+    }
+
+    return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+  }
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+const path = require('path');
+const tf = require('@tensorflow/tfjs');
+
+/**
+ * Versioned recommendation models on disk:
+ *   <dir>/<version>/model.json, weights.bin, metadata.json
+ *   <dir>/latest.json -> { version }
+ * Uses custom IO handlers so plain @tensorflow/tfjs can read and write files.
+ */
+class ModelStore {
+  constructor() {
+    this.dir = process.env.RECOMMENDATION_MODEL_DIR || './recommendation-model';
+  }
+
+  /**
+   * Save a model as a new version and make it the latest
+   * @return {String} the version
+   */
+  async save(model, metadata) {
+    const version = `v${new Date().toISOString().replace(/[-:.TZ]/g, '')}`;
+    const versionDir = path.join(this.dir, version);
+    await fs.mkdir(versionDir, { recursive: true });
+
+    await model.save(tf.io.withSaveHandler(async artifacts => {
+      const weightData = Array.isArray(artifacts.weightData)
+        ? Buffer.concat(artifacts.weightData.map(buffer => Buffer.from(buffer)))
+        : Buffer.from(artifacts.weightData);
+
+      await fs.writeFile(path.join(versionDir, 'model.json'), JSON.stringify({
+        modelTopology: artifacts.modelTopology,
+        weightSpecs: artifacts.weightSpecs
+      }));
+      await fs.writeFile(path.join(versionDir, 'weights.bin'), weightData);
+
+      return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+
+    await fs.writeFile(
+      path.join(versionDir, 'metadata.json'),
+      JSON.stringify({ ...metadata, version }, null, 2)
+    );
+    await fs.writeFile(path.join(this.dir, 'latest.json'), JSON.stringify({ version }));
+
+    return version;
+  }
+
+  /**
+   * Load a saved version
+   * @return {Object} { model, metadata }
+   */
+  async load(version) {
+    const versionDir = path.join(this.dir, version);
+    const [modelJson, weights, metadata] = await Promise.all([
+      fs.readFile(path.join(versionDir, 'model.json'), 'utf8'),
+      fs.readFile(path.join(versionDir, 'weights.bin')),
+      fs.readFile(path.join(versionDir, 'metadata.json'), 'utf8')
+    ]);
+    const { modelTopology, weightSpecs } = JSON.parse(modelJson);
+
+    const model = await tf.loadLayersModel(tf.io.fromMemory({
+      modelTopology,
+      weightSpecs,
+      weightData: weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength)
+    }));
+
+    return { model, metadata: JSON.parse(metadata) };
+  }
+
+  /**
+   * Load the latest version, or null if nothing has been trained yet
+   */
+  async loadLatest() {
+    try {
+      const { version } = JSON.parse(await fs.readFile(path.join(this.dir, 'latest.json'), 'utf8'));
+      return await this.load(version);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async listVersions() {
+    try {
+      const entries = await fs.readdir(this.dir, { withFileTypes: true });
+      const versions = entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+
+      return Promise.all(versions.reverse().map(async version => {
+        const metadata = JSON.parse(
+          await fs.readFile(path.join(this.dir, version, 'metadata.json'), 'utf8')
+        );
+        return { version, trainedAt: metadata.trainedAt, metrics: metadata.metrics };
+      }));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
+
+module.exports = new ModelStore();
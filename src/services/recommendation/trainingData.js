@@ -0,0 +1,195 @@
+const Order = require('../../models/Order');
+const GroupBuy = require('../../models/GroupBuy');
+const InteractionEvent = require('../../models/InteractionEvent');
+const FeatureBuilder = require('./featureBuilder');
+
+const BROWSING_EVENT_TYPES = ['view', 'cart_add', 'wishlist_add'];
+
+// Without an explicit `since`, only this much recent history is read
+const DEFAULT_WINDOW_DAYS = Number(process.env.RECOMMENDATION_TRAINING_WINDOW_DAYS) || 365;
+// Most recent rows read from each source, so one load stays bounded in memory
+const MAX_ROWS_PER_SOURCE = 200000;
+
+// Small seeded PRNG (mulberry32) so datasets and splits are reproducible
+const createRandom = seed => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffle = (items, random) => {
+  const result = items.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Collects user-product interactions and turns them into labelled
+ * training samples: purchases and group buy joins are positives; viewed or
+ * carted but unbought products, plus random unseen products, are negatives.
+ */
+class TrainingData {
+  /**
+   * Interactions as [{ userId, productId, type, at }], oldest first. Reads
+   * the last DEFAULT_WINDOW_DAYS unless `since` is given, and at most
+   * MAX_ROWS_PER_SOURCE of the newest orders, events and group buys.
+   * @param {Object} options - { since, userIds }
+   */
+  async loadInteractions({ since = null, userIds = null } = {}) {
+    const dateFilter = {
+      $gte: since || new Date(Date.now() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+    };
+
+    const orderQuery = { status: { $ne: 'cancelled' }, createdAt: dateFilter };
+    if (userIds) orderQuery.user = { $in: userIds };
+
+    // Purchases and group buy joins come from their own collections, so
+    // only browsing signals are read from the event log
+    const eventQuery = { type: { $in: BROWSING_EVENT_TYPES }, createdAt: dateFilter };
+    if (userIds) eventQuery.userId = { $in: userIds };
+
+    const groupQuery = userIds ? { 'participants.userId': { $in: userIds } } : {};
+    groupQuery.createdAt = dateFilter;
+
+    const newest = query => query.sort({ createdAt: -1 }).limit(MAX_ROWS_PER_SOURCE).lean();
+
+    const [orders, events, groupBuys] = await Promise.all([
+      newest(Order.find(orderQuery).select('user products.product groupBuy createdAt')),
+      newest(InteractionEvent.find(eventQuery).select('userId productId type createdAt')),
+      newest(GroupBuy.find(groupQuery).select('productId participants.userId participants.joinedAt'))
+    ]);
+
+    const wanted = userIds ? new Set(userIds.map(id => id.toString())) : null;
+    const interactions = [];
+
+    orders.forEach(order => {
+      // A group buy order is already counted as the join
+      if (order.groupBuy) return;
+      order.products.forEach(line => {
+        interactions.push({ userId: order.user, productId: line.product, type: 'purchase', at: order.createdAt });
+      });
+    });
+
+    events.forEach(event => {
+      interactions.push({ userId: event.userId, productId: event.productId, type: event.type, at: event.createdAt });
+    });
+
+    groupBuys.forEach(groupBuy => {
+      groupBuy.participants.forEach(participant => {
+        if (wanted && !wanted.has(participant.userId.toString())) return;
+        interactions.push({
+          userId: participant.userId,
+          productId: groupBuy.productId,
+          type: 'group_buy_join',
+          at: participant.joinedAt
+        });
+      });
+    });
+
+    return interactions.sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Conversions per product, for the popularity feature
+   */
+  buildStats(interactions) {
+    const popularity = new Map();
+
+    interactions
+      .filter(interaction => FeatureBuilder.conversionTypes.includes(interaction.type))
+      .forEach(interaction => {
+        const productId = interaction.productId.toString();
+        popularity.set(productId, (popularity.get(productId) || 0) + 1);
+      });
+
+    return {
+      popularity,
+      maxPopularity: Math.max(0, ...popularity.values())
+    };
+  }
+
+  /**
+   * Build labelled samples grouped by user
+   * @param {Array} interactions - from loadInteractions
+   * @param {Array} products - catalog products
+   * @param {Map} users - userId -> user (for preferences)
+   * @param {Object} options - { negativeRatio, seed }
+   * @return {Object} { samples: [{ userId, productId, features, label }], stats }
+   */
+  buildDataset(interactions, products, users, { negativeRatio = 3, seed = 42 } = {}) {
+    const random = createRandom(seed);
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+    const stats = this.buildStats(interactions);
+
+    const byUser = new Map();
+    interactions.forEach(interaction => {
+      const userId = interaction.userId.toString();
+      if (!byUser.has(userId)) byUser.set(userId, []);
+      byUser.get(userId).push(interaction);
+    });
+
+    const samples = [];
+
+    byUser.forEach((userInteractions, userId) => {
+      const context = FeatureBuilder.buildUserContext(users.get(userId), userInteractions, productsById);
+      const positives = new Set();
+      const seen = new Set();
+
+      context.byProduct.forEach((entry, productId) => {
+        if (entry.conversions > 0) positives.add(productId);
+        else seen.add(productId);
+      });
+
+      if (positives.size === 0) return;
+
+      // Seen-but-not-bought first, then random unseen products
+      const wantedNegatives = positives.size * negativeRatio;
+      const negatives = shuffle(Array.from(seen), random).slice(0, wantedNegatives);
+      const unseen = shuffle(
+        products.filter(product => !context.byProduct.has(product._id.toString())),
+        random
+      );
+      unseen.slice(0, wantedNegatives - negatives.length)
+        .forEach(product => negatives.push(product._id.toString()));
+
+      [[positives, 1], [negatives, 0]].forEach(([productIds, label]) => {
+        productIds.forEach(productId => {
+          const product = productsById.get(productId);
+          samples.push({
+            userId,
+            productId,
+            features: FeatureBuilder.build(product, context, stats),
+            label
+          });
+        });
+      });
+    });
+
+    return { samples, stats };
+  }
+
+  /**
+   * Split samples into train and test sets by user, so no user's behavior
+   * appears on both sides
+   */
+  splitByUser(samples, { testFraction = 0.2, seed = 42 } = {}) {
+    const userIds = shuffle(Array.from(new Set(samples.map(sample => sample.userId))).sort(), createRandom(seed));
+    const testCount = Math.max(1, Math.round(userIds.length * testFraction));
+    const testUsers = new Set(userIds.slice(0, testCount));
+
+    return {
+      train: samples.filter(sample => !testUsers.has(sample.userId)),
+      test: samples.filter(sample => testUsers.has(sample.userId))
+    };
+  }
+}
+
+module.exports = new TrainingData();
@@ -1,146 +1,646 @@
 const tf = require('@tensorflow/tfjs');
 const ProductModel = require('../models/Product');
 const UserModel = require('../models/User');
+const FeatureBuilder = require('./recommendation/featureBuilder');
+const TrainingData = require('./recommendation/trainingData');
+const ModelStore = require('./recommendation/modelStore');
+const Metrics = require('./recommendation/metrics');
+const InteractionEventService = require('./interactionEventService');
+const ModelEvents = require('../utils/modelEvents');
+
+// Share of the final score taken from the model's purchase probability
+const MODEL_BLEND_WEIGHT = 0.5;
+// Fewer conversions than this can't train anything meaningful
+const MIN_TRAINING_CONVERSIONS = 20;
+// Browsing events that shape a user's interests, and how far back to look
+const INTEREST_EVENT_TYPES = ['view', 'cart_add', 'wishlist_add'];
+const INTEREST_WINDOW_DAYS = 90;
+// How long a user's precomputed candidate list is served before it is rebuilt
+const CANDIDATE_TTL_MS = Number(process.env.RECOMMENDATION_CACHE_TTL_MS) || 10 * 60 * 1000;
+// Candidates kept per user; the model only re-ranks this pool
+const CANDIDATE_POOL_SIZE = 100;
+// Past this many cached users, expired lists are evicted
+const MAX_CACHED_USERS = 10000;
+// Product and user changes are batched for this long before refreshing
+const REFRESH_DEBOUNCE_MS = 500;
+// MMR trade-off between relevance and variety (1 = relevance only)
+const DEFAULT_DIVERSITY_LAMBDA = 0.7;
+// Footprints at or below this are called out as a reason
+const LOW_CARBON_KG = 20;
+// Heuristic blend of sustainability match and user preference match
+const DEFAULT_HEURISTIC_WEIGHTS = { sustainability: 0.7, preference: 0.3 };
 
 class RecommendationEngine {
   constructor() {
     this.model = null;
+    this.modelMetadata = null;
+    this.stats = null;
+    this.initialized = false;
+    this.initializing = null;
+    this.catalog = new Map();
     this.userFeatures = {};
     this.productFeatures = {};
+    // userId -> { entries: [{ productId, score }] sorted by score, expiresAt }
+    this.candidates = new Map();
+    this.pendingProducts = new Set();
+    this.pendingUsers = new Set();
+    this.refreshTimer = null;
+    this.subscribed = false;
   }
 
+  /**
+   * Load the model, catalog and user preferences, then keep them current
+   * from model change events. Concurrent callers share one load.
+   */
   async initialize() {
-    // Load pre-trained model or create new one
+    if (!this.initializing) {
+      this.initializing = this.load().catch(error => {
+        this.initializing = null;
+        throw error;
+      });
+    }
+    
+    return this.initializing;
+  }
+
+  async load() {
+    // Load the latest trained model; without one, ranking is heuristic only
     try {
-      this.model = await tf.loadLayersModel('file://./recommendation-model/model.json');
-      console.log('Recommendation model loaded successfully');
+      await this.loadModel();
     } catch (error) {
-      console.log('Creating new recommendation model...');
-      await this.trainModel();
+      console.error('Error loading recommendation model:', error);
+    }
+    
+    // Subscribe before loading so changes made during the load aren't
+    // missed; only once, since a failed load is retried
+    if (!this.subscribed) {
+      ModelEvents.on('product:changed', ids => this.scheduleRefresh(this.pendingProducts, ids));
+      ModelEvents.on('user:changed', ids => this.scheduleRefresh(this.pendingUsers, ids));
+      this.subscribed = true;
     }
     
     // Load product and user data for recommendations
     await this.loadProductFeatures();
     await this.loadUserPreferences();
+    this.initialized = true;
+  }
+
+  async loadModel() {
+    const saved = await ModelStore.loadLatest();
+    
+    if (!saved) {
+      console.log('No trained recommendation model yet, using heuristic ranking');
+      return;
+    }
+    
+    // A model trained on a different feature layout can't score current vectors
+    if (JSON.stringify(saved.metadata.featureNames) !== JSON.stringify(FeatureBuilder.featureNames)) {
+      console.log(`Recommendation model ${saved.metadata.version} uses outdated features, ignoring it`);
+      saved.model.dispose();
+      return;
+    }
+    
+    this.replaceModel(saved.model);
+    this.modelMetadata = saved.metadata;
+    this.stats = TrainingData.buildStats(await TrainingData.loadInteractions());
+    // Keep popularity on the scale the model was trained with
+    this.stats.maxPopularity = saved.metadata.normalization.maxPopularity;
+    console.log(`Recommendation model ${saved.metadata.version} loaded successfully`);
+  }
+
+  // tfjs doesn't garbage-collect a model's weights, so free the old one
+  replaceModel(model) {
+    if (this.model && this.model !== model) {
+      this.model.dispose();
+    }
+    this.model = model;
   }
 
   async loadProductFeatures() {
-    const products = await ProductModel.find({});
-    products.forEach(product => {
-      this.productFeatures[product._id] = {
-        ecoScore: product.sustainability.ecoScore,
-        carbonFootprint: product.sustainability.carbonFootprint,
-        materialScore: product.sustainability.materialScore,
-        category: product.category,
-        tags: product.tags
-      };
-    });
+    const products = await ProductModel.find({}).lean();
+    products.forEach(product => this.setProduct(product));
+  }
+
+  setProduct(product) {
+    const id = product._id.toString();
+    
+    this.catalog.set(id, product);
+    this.productFeatures[id] = {
+      ecoScore: product.sustainability.ecoScore,
+      carbonFootprint: product.sustainability.carbonFootprint,
+      materialScore: product.sustainability.materialScore,
+      category: product.category,
+      tags: product.tags
+    };
+  }
+
+  removeProduct(productId) {
+    this.catalog.delete(productId);
+    delete this.productFeatures[productId];
   }
 
   async loadUserPreferences() {
-    const users = await UserModel.find({});
+    const [users, browsedByUser] = await Promise.all([
+      UserModel.find({}),
+      InteractionEventService.getProductsByUser({ types: INTEREST_EVENT_TYPES, since: this.interestSince() })
+    ]);
+    
     users.forEach(user => {
-      const preferences = user.sustainabilityPreferences || {};
-      this.userFeatures[user._id] = {
-        preferredEcoScore: preferences.minEcoScore || 3,
-        preferredCategories: preferences.categories || [],
-        previousPurchases: user.purchaseHistory || [],
-        carbonSavingGoal: preferences.carbonSavingGoal || 0
-      };
+      this.userFeatures[user._id] = this.buildUserFeatures(user, browsedByUser.get(user._id.toString()));
+    });
+  }
+
+  /**
+   * (Re)load one user's preferences, e.g. a user created after initialize
+   * @return {Object} the user's features, or null if the user doesn't exist
+   */
+  async loadUser(userId) {
+    const [user, browsedByUser] = await Promise.all([
+      UserModel.findById(userId),
+      InteractionEventService.getProductsByUser({
+        types: INTEREST_EVENT_TYPES,
+        since: this.interestSince(),
+        userIds: [userId]
+      })
+    ]);
+    
+    this.candidates.delete(userId.toString());
+    
+    if (!user) {
+      delete this.userFeatures[userId];
+      return null;
+    }
+    
+    this.userFeatures[user._id] = this.buildUserFeatures(user, browsedByUser.get(user._id.toString()));
+    return this.userFeatures[user._id];
+  }
+
+  interestSince() {
+    return new Date(Date.now() - INTEREST_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  buildUserFeatures(user, browsedIds = []) {
+    const preferences = user.sustainabilityPreferences || {};
+    const purchasedIds = [];
+    (user.purchaseHistory || []).forEach(purchase => {
+      purchase.products.forEach(line => purchasedIds.push(line.productId));
+    });
+    
+    return {
+      preferredEcoScore: preferences.minEcoScore || 3,
+      preferredCategories: preferences.categories || [],
+      previousPurchases: user.purchaseHistory || [],
+      purchased: this.collectInterests(purchasedIds),
+      browsed: this.collectInterests(browsedIds),
+      carbonSavingGoal: preferences.carbonSavingGoal || 0
+    };
+  }
+  
+  /**
+   * Categories and tags of the given products, from the loaded catalog
+   */
+  collectInterests(productIds) {
+    const categories = new Set();
+    const tags = new Set();
+    
+    productIds.forEach(productId => {
+      const features = productId && this.productFeatures[productId.toString()];
+      if (!features) return;
+      
+      categories.add(features.category);
+      (features.tags || []).forEach(tag => tags.add(tag));
+    });
+    
+    return { categories, tags };
+  }
+
+  scheduleRefresh(pending, ids) {
+    ids.forEach(id => pending.add(id.toString()));
+    
+    if (!this.refreshTimer) {
+      this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DEBOUNCE_MS);
+      if (this.refreshTimer.unref) this.refreshTimer.unref();
+    }
+  }
+
+  /**
+   * Apply batched product and user changes. Changed products are re-scored
+   * into every cached candidate list; changed users are reloaded and their
+   * list rebuilt on next request.
+   */
+  async refresh() {
+    this.refreshTimer = null;
+    const productIds = Array.from(this.pendingProducts);
+    const userIds = Array.from(this.pendingUsers);
+    this.pendingProducts.clear();
+    this.pendingUsers.clear();
+    
+    try {
+      if (productIds.length > 0) {
+        const products = await ProductModel.find({ _id: { $in: productIds } }).lean();
+        const found = new Set();
+        
+        products.forEach(product => {
+          this.setProduct(product);
+          found.add(product._id.toString());
+        });
+        productIds.filter(id => !found.has(id)).forEach(id => this.removeProduct(id));
+        
+        this.candidates.forEach((cached, userId) => {
+          const user = this.userFeatures[userId];
+          if (user) productIds.forEach(id => this.updateCandidate(cached, user, id));
+        });
+      }
+      
+      for (const userId of userIds) {
+        await this.loadUser(userId);
+      }
+    } catch (error) {
+      console.error('Error refreshing recommendation data:', error);
+    }
+  }
+
+  /**
+   * Re-score one product in a cached candidate list, dropping it if it no
+   * longer qualifies and inserting it if it now beats the weakest candidate
+   */
+  updateCandidate(cached, user, productId) {
+    const entries = cached.entries.filter(entry => entry.productId !== productId);
+    const product = this.catalog.get(productId);
+    
+    if (product && this.isCandidate(product, user)) {
+      const score = this.calculateHeuristicScore(product, user);
+      const weakest = entries[entries.length - 1];
+      
+      if (entries.length < CANDIDATE_POOL_SIZE || score > weakest.score) {
+        const index = entries.findIndex(entry => entry.score < score);
+        entries.splice(index === -1 ? entries.length : index, 0, { productId, score });
+        entries.length = Math.min(entries.length, CANDIDATE_POOL_SIZE);
+      }
+    }
+    
+    cached.entries = entries;
+  }
+
+  isCandidate(product, user) {
+    return product.sustainability.ecoScore >= user.preferredEcoScore;
+  }
+
+  calculateHeuristicScore(product, user, weights = DEFAULT_HEURISTIC_WEIGHTS) {
+    const sustainabilityMatch = this.calculateSustainabilityMatch(product, user);
+    const userPreferenceMatch = this.calculateUserPreferenceMatch(product, user);
+    
+    return weights.sustainability * sustainabilityMatch + weights.preference * userPreferenceMatch;
+  }
+
+  /**
+   * A user's candidate list: the best heuristic matches from the catalog,
+   * served from cache until it expires
+   */
+  getCandidates(userId, user) {
+    const key = userId.toString();
+    const now = Date.now();
+    const cached = this.candidates.get(key);
+    
+    if (cached && cached.expiresAt > now) {
+      return cached.entries;
+    }
+    
+    if (this.candidates.size >= MAX_CACHED_USERS) {
+      this.candidates.forEach((entry, cachedUserId) => {
+        if (entry.expiresAt <= now) this.candidates.delete(cachedUserId);
+      });
+    }
+    
+    const entries = this.scoreCatalog(user);
+    this.candidates.set(key, { entries, expiresAt: now + CANDIDATE_TTL_MS });
+    return entries;
+  }
+
+  /**
+   * Heuristic scores for the user's eligible catalog products, best first
+   * @param {Function} filter - optional extra product predicate
+   * @param {Object} weights - { sustainability, preference } heuristic blend
+   */
+  scoreCatalog(user, filter = null, weights = DEFAULT_HEURISTIC_WEIGHTS) {
+    const entries = [];
+    this.catalog.forEach((product, productId) => {
+      if (this.isCandidate(product, user) && (!filter || filter(product))) {
+        entries.push({ productId, score: this.calculateHeuristicScore(product, user, weights) });
+      }
     });
+    entries.sort((a, b) => b.score - a.score);
+    entries.length = Math.min(entries.length, CANDIDATE_POOL_SIZE);
+    
+    return entries;
   }
 
-  async trainModel() {
-    // Create and train TensorFlow.js model using user-product interactions and eco-metrics
-    // This is a simplified version - real implementation would be more complex
+  /**
+   * Train a purchase-probability model on views, cart adds, purchases and
+   * group buy joins, evaluate it on held-out users, save it as a new version
+   * and start using it.
+   * @param {Object} options - { epochs, batchSize, negativeRatio, testFraction, seed, since }
+   * @return {Object} the saved model's metadata, including test metrics
+   */
+  async trainModel({
+    epochs = 30,
+    batchSize = 64,
+    negativeRatio = 3,
+    testFraction = 0.2,
+    seed = 42,
+    since = null
+  } = {}) {
+    const [interactions, products, users] = await Promise.all([
+      TrainingData.loadInteractions({ since }),
+      ProductModel.find({}).select('price category tags sustainability groupBuying.enabled').lean(),
+      UserModel.find({}).select('sustainabilityPreferences').lean()
+    ]);
+    
+    const { samples, stats } = TrainingData.buildDataset(
+      interactions,
+      products,
+      new Map(users.map(user => [user._id.toString(), user])),
+      { negativeRatio, seed }
+    );
+    
+    const conversions = samples.filter(sample => sample.label === 1).length;
+    if (conversions < MIN_TRAINING_CONVERSIONS) {
+      throw new Error(
+        `Not enough interaction data to train: ${conversions} conversions (need ${MIN_TRAINING_CONVERSIONS})`
+      );
+    }
+    
+    const { train, test } = TrainingData.splitByUser(samples, { testFraction, seed });
+    const model = this.buildModel(FeatureBuilder.featureNames.length);
+    
+    const xs = tf.tensor2d(train.map(sample => sample.features));
+    const ys = tf.tensor2d(train.map(sample => [sample.label]));
+    let history;
+    try {
+      history = await model.fit(xs, ys, { epochs, batchSize, shuffle: true, verbose: 0 });
+    } finally {
+      xs.dispose();
+      ys.dispose();
+    }
+    
+    const metrics = Metrics.evaluateBinary(
+      test.map(sample => sample.label),
+      this.predict(model, test.map(sample => sample.features))
+    );
+    const losses = history.history.loss;
+    
+    const metadata = {
+      trainedAt: new Date().toISOString(),
+      featureNames: FeatureBuilder.featureNames,
+      params: { epochs, batchSize, negativeRatio, testFraction, seed, since },
+      samples: {
+        train: train.length,
+        test: test.length,
+        conversions,
+        users: new Set(samples.map(sample => sample.userId)).size
+      },
+      trainingLoss: +losses[losses.length - 1].toFixed(4),
+      metrics,
+      normalization: { maxPopularity: stats.maxPopularity }
+    };
+    
+    const version = await ModelStore.save(model, metadata);
+    
+    this.replaceModel(model);
+    this.modelMetadata = { ...metadata, version };
+    this.stats = stats;
+    
+    return this.modelMetadata;
+  }
+  
+  buildModel(featureCount) {
     const model = tf.sequential();
-    model.add(tf.layers.dense({units: 50, activation: 'relu', inputShape: [10]}));
-    model.add(tf.layers.dense({units: 30, activation: 'relu'}));
-    model.add(tf.layers.dense({units: 20, activation: 'relu'}));
+    model.add(tf.layers.dense({units: 32, activation: 'relu', inputShape: [featureCount]}));
+    model.add(tf.layers.dense({units: 16, activation: 'relu'}));
     model.add(tf.layers.dense({units: 1, activation: 'sigmoid'}));
     
     model.compile({
-      optimizer: tf.train.adam(),
+      optimizer: tf.train.adam(0.01),
       loss: 'binaryCrossentropy',
       metrics: ['accuracy']
     });
     
-    // In a real implementation, we would train on actual user-product interaction data
-    this.model = model;
-    await this.model.save('file://./recommendation-model/model.json');
+    return model;
+  }
+  
+  predict(model, featureRows) {
+    if (featureRows.length === 0) return [];
+    
+    return tf.tidy(() => Array.from(model.predict(tf.tensor2d(featureRows)).dataSync()));
+  }
+  
+  /**
+   * The model's purchase probability for each product, or null when no
+   * trained model is loaded
+   */
+  async predictPurchaseProbabilities(userId, products) {
+    if (!this.model || !this.stats) return null;
+    
+    const [user, interactions] = await Promise.all([
+      UserModel.findById(userId).select('sustainabilityPreferences').lean(),
+      TrainingData.loadInteractions({ userIds: [userId] })
+    ]);
+    
+    const catalog = new Map(Object.entries(this.productFeatures));
+    const context = FeatureBuilder.buildUserContext(user, interactions, catalog);
+    
+    return this.predict(
+      this.model,
+      products.map(product => FeatureBuilder.build(product, context, this.stats))
+    );
   }
 
-  async getRecommendationsForUser(userId) {
-    const user = this.userFeatures[userId];
+  /**
+   * Top products for a user with the reasons they were picked. Candidates
+   * are filtered first, re-ranked with the trained model when one is
+   * loaded, then diversified across categories.
+   * @param {Object} options - { limit, category, diversity, weights: { sustainability, preference } }
+   * @return {Array} [{ product, score, reasons }]
+   */
+  async getRecommendationsForUser(userId, {
+    limit = 10,
+    category = null,
+    diversity = DEFAULT_DIVERSITY_LAMBDA,
+    weights = DEFAULT_HEURISTIC_WEIGHTS
+  } = {}) {
+    // Users created since initialize are loaded on first request
+    const user = this.userFeatures[userId] || await this.loadUser(userId);
     if (!user) return [];
     
-    // Get products matching user's preferred eco categories
-    const allProducts = await ProductModel.find({
-      'sustainability.ecoScore': { $gte: user.preferredEcoScore }
-    });
+    // Cached lists use the default blend; a category filter or another blend
+    // (e.g. from an experiment) gets its own pool so it isn't starved by them
+    const defaultWeights = ['sustainability', 'preference'].every(
+      key => Math.abs(weights[key] - DEFAULT_HEURISTIC_WEIGHTS[key]) < 1e-9
+    );
+    const candidates = category || !defaultWeights
+      ? this.scoreCatalog(user, category ? product => product.category === category : null, weights)
+      : this.getCandidates(userId, user).filter(entry => this.catalog.has(entry.productId));
+    const products = candidates.map(entry => this.catalog.get(entry.productId));
     
-    // Calculate recommendation scores based on user preferences and product sustainability
-    const recommendations = allProducts.map(product => {
-      // Calculate hybrid score based on sustainability metrics and user preferences
-      const sustainabilityMatch = this.calculateSustainabilityMatch(product, user);
-      const userPreferenceMatch = this.calculateUserPreferenceMatch(product, user);
-      
-      const score = 0.7 * sustainabilityMatch + 0.3 * userPreferenceMatch;
-      
-      return {
-        product: product,
-        score: score
-      };
-    });
+    const probabilities = await this.predictPurchaseProbabilities(userId, products);
     
-    // Sort by score and return top recommendations
-    return recommendations
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 10)
-      .map(rec => rec.product);
+    const ranked = candidates.map((entry, i) => ({
+      product: products[i],
+      // Blend in the trained model's purchase probability when there is one
+      score: probabilities
+        ? (1 - MODEL_BLEND_WEIGHT) * entry.score + MODEL_BLEND_WEIGHT * probabilities[i]
+        : entry.score
+    })).sort((a, b) => b.score - a.score);
+    
+    return this.diversify(ranked, limit, diversity).map(rec => ({
+      product: rec.product,
+      score: +rec.score.toFixed(4),
+      reasons: this.explain(rec.product, user)
+    }));
   }
 
-  calculateSustainabilityMatch(product, userPreferences) {
-    // Calculate how well product sustainability matches user's eco preferences
+  /**
+   * How well the product's sustainability matches the user's eco
+   * preferences. Pass a reasons array to collect why it matched.
+   */
+  calculateSustainabilityMatch(product, userPreferences, reasons = null) {
+    const { ecoScore, carbonFootprint, materialScore } = product.sustainability;
+    // An unknown footprint earns no credit rather than counting as zero emissions
+    const hasFootprint = typeof carbonFootprint === 'number';
     let score = 0;
-    score += (product.sustainability.ecoScore / 5) * 0.5;
-    score += (1 - (product.sustainability.carbonFootprint / 100)) * 0.3;
-    score += (product.sustainability.materialScore / 5) * 0.2;
+    score += (ecoScore / 5) * 0.5;
+    score += hasFootprint ? (1 - (carbonFootprint / 100)) * 0.3 : 0;
+    score += (materialScore / 5) * 0.2;
+    
+    if (reasons) {
+      if (ecoScore >= userPreferences.preferredEcoScore) {
+        reasons.push({
+          type: 'eco_score_match',
+          weight: (ecoScore / 5) * 0.5,
+          message: `Eco-score ${ecoScore}/5 meets your minimum of ${userPreferences.preferredEcoScore}`
+        });
+      }
+      
+      if (hasFootprint && carbonFootprint <= LOW_CARBON_KG) {
+        reasons.push({
+          type: 'low_carbon',
+          weight: (1 - (carbonFootprint / 100)) * 0.3,
+          message: `Low carbon footprint of ${carbonFootprint} kg CO2e`
+        });
+      }
+    }
+    
     return score;
   }
 
-  calculateUserPreferenceMatch(product, userPreferences) {
-    // Match product with user's preferences
+  /**
+   * How well the product matches the user's categories and past interests.
+   * Pass a reasons array to collect why it matched.
+   */
+  calculateUserPreferenceMatch(product, userPreferences, reasons = null) {
     let score = 0;
     
     // Category match
     if (userPreferences.preferredCategories.includes(product.category)) {
       score += 0.4;
+      if (reasons) {
+        reasons.push({
+          type: 'category_affinity',
+          weight: 0.4,
+          message: `In ${product.category}, one of your preferred categories`
+        });
+      }
     }
     
     // Previous purchase pattern match
-    const previousPurchases = userPreferences.previousPurchases || [];
-    const purchasedSimilarCategory = previousPurchases.some(
-      purchase => purchase.category === product.category
+    const purchased = userPreferences.purchased;
+    if (purchased.categories.has(product.category)) {
+      score += 0.3;
+      if (reasons) {
+        reasons.push({
+          type: 'category_affinity',
+          weight: 0.3,
+          message: `You have bought ${product.category} products before`
+        });
+      }
+    }
+    
+    // Tags match with previous interests, bought or browsed
+    const productTags = product.tags || [];
+    const matchingTags = productTags.filter(
+      tag => purchased.tags.has(tag) || userPreferences.browsed.tags.has(tag)
     );
-    if (purchasedSimilarCategory) score += 0.3;
+    const tagScore = (matchingTags.length / Math.max(productTags.length, 1)) * 0.3;
+    score += tagScore;
     
-    // Tags match with previous interests
-    const userTags = this.extractTagsFromPurchaseHistory(previousPurchases);
-    const matchingTags = product.tags.filter(tag => userTags.includes(tag));
-    score += (matchingTags.length / Math.max(product.tags.length, 1)) * 0.3;
+    if (reasons && matchingTags.length > 0) {
+      reasons.push({
+        type: 'tag_overlap',
+        weight: tagScore,
+        tags: matchingTags,
+        message: `Matches your interest in ${matchingTags.join(', ')}`
+      });
+    }
     
     return score;
   }
 
-  extractTagsFromPurchaseHistory(purchaseHistory) {
-    const tags = new Set();
-    purchaseHistory.forEach(purchase => {
-      if (purchase.tags) {
-        purchase.tags.forEach(tag => tags.add(tag));
-      }
-    });
-    return Array.from(tags);
+  /**
+   * Why a product was recommended, strongest reason first
+   */
+  explain(product, user) {
+    const reasons = [];
+    this.calculateSustainabilityMatch(product, user, reasons);
+    this.calculateUserPreferenceMatch(product, user, reasons);
+    
+    return reasons
+      .sort((a, b) => b.weight - a.weight)
+      .map(({ weight, ...reason }) => reason);
+  }
+
+  /**
+   * Similarity used for diversification: products in the same category are
+   * near-duplicates for the shopper, tag overlap adds a little more
+   */
+  calculateSimilarity(a, b) {
+    const tagsA = new Set(a.tags || []);
+    const tagsB = b.tags || [];
+    const shared = tagsB.filter(tag => tagsA.has(tag)).length;
+    const union = tagsA.size + tagsB.length - shared;
+    
+    return (a.category === b.category ? 0.7 : 0) + (union > 0 ? 0.3 * shared / union : 0);
+  }
+
+  /**
+   * Maximal marginal relevance: repeatedly pick the item with the best
+   * trade-off between its score and its similarity to items already picked
+   * @param {Array} ranked - [{ product, score }]
+   * @param {Number} lambda - 1 ranks by score alone, lower values favour variety
+   */
+  diversify(ranked, limit, lambda) {
+    const remaining = ranked.slice();
+    const selected = [];
+    
+    while (selected.length < limit && remaining.length > 0) {
+      let bestIndex = 0;
+      let bestValue = -Infinity;
+      
+      remaining.forEach((candidate, index) => {
+        const redundancy = selected.reduce(
+          (max, picked) => Math.max(max, this.calculateSimilarity(candidate.product, picked.product)), 0
+        );
+        const value = lambda * candidate.score - (1 - lambda) * redundancy;
+        
+        if (value > bestValue) {
+          bestValue = value;
+          bestIndex = index;
+        }
+      });
+      
+      selected.push(remaining.splice(bestIndex, 1)[0]);
+    }
+    
+    return selected;
   }
 }
 
@@ -0,0 +1,315 @@
+const EventEmitter = require('events');
+const RescoreJob = require('../models/RescoreJob');
+const RescoreJobChange = require('../models/RescoreJobChange');
+const Product = require('../models/Product');
+const SustainabilityScoring = require('../utils/sustainabilityScoring');
+const ModelEvents = require('../utils/modelEvents');
+const ScoringRulesetService = require('./scoringRulesetService');
+const EmissionFactorService = require('./emissionFactorService');
+
+// A running job that hasn't reported progress for this long is treated as crashed
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+/**
+ * Rescores the whole product catalog against a ruleset version in batches.
+ * Emits 'progress', 'completed' and 'failed' events with the job document.
+ */
+class RescoreJobService extends EventEmitter {
+  constructor() {
+    super();
+    this.runningJobs = new Set();
+  }
+
+  /**
+   * Queue a rescore job and start it in the background
+   * @param {Object} options - { rulesetName, rulesetVersion, dryRun, batchSize }
+   * @param {String} userId - Admin who started the job
+   * @return {Object} the queued job
+   */
+  async startJob({ rulesetName = 'default', rulesetVersion = null, dryRun = false, batchSize } = {}, userId = null) {
+    // Resolve the version now so the job is pinned to it. A draft can still
+    // change, so only a dry run may use one.
+    const rules = await ScoringRulesetService.getRules(rulesetName, rulesetVersion, { allowDraft: dryRun });
+
+    const job = await RescoreJob.create({
+      rulesetName: rules.name,
+      rulesetVersion: rules.version,
+      dryRun,
+      batchSize,
+      createdBy: userId,
+      progress: {
+        total: await Product.countDocuments({})
+      }
+    });
+
+    this.runInBackground(job._id);
+    return job;
+  }
+
+  /**
+   * Pick up jobs left running by a crashed process. Call on startup.
+   */
+  async resumeInterruptedJobs() {
+    const staleBefore = new Date(Date.now() - STALE_AFTER_MS);
+    const jobs = await RescoreJob.find({
+      $or: [
+        { status: 'queued' },
+        { status: 'running', heartbeatAt: { $lt: staleBefore } }
+      ]
+    }).select('_id');
+
+    jobs.forEach(job => this.runInBackground(job._id));
+    return jobs.length;
+  }
+
+  /**
+   * Resume a single failed or interrupted job from its last batch. A job
+   * still marked running is taken over once its heartbeat is stale; before
+   * that it may still be alive, so the error carries the time to retry at.
+   */
+  async resumeJob(jobId) {
+    const job = await RescoreJob.findById(jobId);
+
+    if (!job) {
+      throw new Error('Rescore job not found');
+    }
+
+    if (job.status === 'completed') {
+      throw new Error('Rescore job has already completed');
+    }
+
+    if (job.status === 'running') {
+      const staleAt = (job.heartbeatAt ? job.heartbeatAt.getTime() : 0) + STALE_AFTER_MS;
+
+      if (staleAt > Date.now()) {
+        const error = new Error('Rescore job is still running');
+        error.retryAfter = new Date(staleAt);
+        throw error;
+      }
+    }
+
+    if (job.status === 'failed') {
+      job.status = 'queued';
+      job.error = undefined;
+      await job.save();
+    }
+
+    this.runInBackground(job._id);
+    return job;
+  }
+
+  runInBackground(jobId) {
+    setImmediate(() => {
+      this.runJob(jobId).catch(error => {
+        console.error(`Rescore job ${jobId} crashed:`, error);
+      });
+    });
+  }
+
+  /**
+   * Process a job batch by batch from its resume point
+   */
+  async runJob(jobId) {
+    const key = jobId.toString();
+    if (this.runningJobs.has(key)) return null;
+
+    const job = await this.claimJob(jobId);
+    if (!job) return null;
+
+    this.runningJobs.add(key);
+
+    try {
+      const rules = await ScoringRulesetService.getRules(job.rulesetName, job.rulesetVersion, {
+        allowDraft: job.dryRun
+      });
+      await EmissionFactorService.ensureLoaded();
+
+      let hasMore = true;
+      while (hasMore) {
+        hasMore = await this.processBatch(job, rules);
+        this.emit('progress', job);
+      }
+
+      job.status = 'completed';
+      job.finishedAt = new Date();
+      await job.save();
+
+      this.emit('completed', job);
+      return job;
+    } catch (error) {
+      console.error(`Rescore job ${jobId} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      await job.save();
+
+      this.emit('failed', job);
+      return job;
+    } finally {
+      this.runningJobs.delete(key);
+    }
+  }
+
+  /**
+   * Atomically mark a job as running so two processes can't run it at once
+   */
+  async claimJob(jobId) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - STALE_AFTER_MS);
+
+    return RescoreJob.findOneAndUpdate(
+      {
+        _id: jobId,
+        $or: [
+          { status: 'queued' },
+          { status: 'running', heartbeatAt: { $lt: staleBefore } }
+        ]
+      },
+      { $set: { status: 'running', heartbeatAt: now, startedAt: now } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Rescore the next batch. Products are written (unless dry run) before the
+   * job's resume point moves, so a crash only ever repeats a batch.
+   * @return {Boolean} whether there may be more products to process
+   */
+  async processBatch(job, rules) {
+    const query = job.lastProcessedId ? { _id: { $gt: job.lastProcessedId } } : {};
+    const products = await Product.find(query)
+      .sort({ _id: 1 })
+      .limit(job.batchSize);
+
+    if (products.length === 0) return false;
+
+    const changes = [];
+    const updates = [];
+
+    products.forEach(product => {
+      const before = product.sustainability || {};
+      const scores = SustainabilityScoring.scoreProduct(product, rules);
+
+      if (before.ecoScore !== scores.ecoScore || before.ecoLabel !== scores.ecoLabel) {
+        changes.push({
+          productId: product._id,
+          name: product.name,
+          before: {
+            ecoScore: before.ecoScore,
+            ecoLabel: before.ecoLabel,
+            rulesetVersion: before.rulesetVersion
+          },
+          after: {
+            ecoScore: scores.ecoScore,
+            ecoLabel: scores.ecoLabel
+          },
+          ecoScoreDelta: +(scores.ecoScore - (before.ecoScore || 0)).toFixed(2)
+        });
+      }
+
+      updates.push({
+        updateOne: {
+          filter: { _id: product._id },
+          update: { $set: { sustainability: scores, updatedAt: new Date() } }
+        }
+      });
+    });
+
+    if (!job.dryRun) {
+      await Product.bulkWrite(updates, { ordered: false });
+      // bulkWrite skips document middleware, so announce the change here
+      ModelEvents.emit('product:changed', products.map(product => product._id));
+    }
+
+    if (changes.length > 0) {
+      await RescoreJobChange.bulkWrite(changes.map(change => ({
+        replaceOne: {
+          filter: { jobId: job._id, productId: change.productId },
+          replacement: { ...change, jobId: job._id, magnitude: Math.abs(change.ecoScoreDelta) },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+
+    job.lastProcessedId = products[products.length - 1]._id;
+    job.progress.processed += products.length;
+    // Counted rather than added up, since a repeated batch rewrites its rows
+    job.progress.changed = await RescoreJobChange.countDocuments({ jobId: job._id });
+    job.heartbeatAt = new Date();
+    await job.save();
+
+    return products.length === job.batchSize;
+  }
+
+  /**
+   * Get a job with a summary of its diff report and one page of the
+   * changed products, biggest score changes first
+   * @param {String} jobId
+   * @param {Object} options - { page, limit }
+   */
+  async getJobReport(jobId, { page = 1, limit = 50 } = {}) {
+    const job = await RescoreJob.findById(jobId);
+
+    if (!job) {
+      throw new Error('Rescore job not found');
+    }
+
+    const [totals, changes] = await Promise.all([
+      RescoreJobChange.aggregate([
+        { $match: { jobId: job._id } },
+        {
+          $group: {
+            _id: null,
+            changed: { $sum: 1 },
+            increased: { $sum: { $cond: [{ $gt: ['$ecoScoreDelta', 0] }, 1, 0] } },
+            decreased: { $sum: { $cond: [{ $lt: ['$ecoScoreDelta', 0] }, 1, 0] } },
+            labelChanged: { $sum: { $cond: [{ $ne: ['$before.ecoLabel', '$after.ecoLabel'] }, 1, 0] } },
+            averageDelta: { $avg: '$ecoScoreDelta' }
+          }
+        }
+      ]),
+      RescoreJobChange.find({ jobId: job._id })
+        .select('-_id -jobId -magnitude -__v')
+        .sort({ magnitude: -1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    const total = totals[0] || {};
+    const summary = {
+      changed: total.changed || 0,
+      increased: total.increased || 0,
+      decreased: total.decreased || 0,
+      labelChanged: total.labelChanged || 0,
+      averageDelta: total.changed ? +total.averageDelta.toFixed(2) : 0
+    };
+
+    return {
+      jobId: job._id,
+      status: job.status,
+      dryRun: job.dryRun,
+      ruleset: { name: job.rulesetName, version: job.rulesetVersion },
+      progress: {
+        total: job.progress.total,
+        processed: job.progress.processed,
+        changed: job.progress.changed,
+        percent: job.progress.total > 0
+          ? Math.min(100, Math.round((job.progress.processed / job.progress.total) * 100))
+          : 100
+      },
+      summary,
+      changes,
+      page,
+      pages: Math.ceil(summary.changed / limit),
+      error: job.error
+    };
+  }
+
+  async listJobs(limit = 20) {
+    return RescoreJob.find({})
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+}
+
+module.exports = new RescoreJobService();
\ No newline at end of file
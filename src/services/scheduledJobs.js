@@ -0,0 +1,51 @@
+const SchedulerService = require('./schedulerService');
+const GroupBuyingService = require('./groupBuyingService');
+const CertificationService = require('./certificationService');
+const RescoreJobService = require('./rescoreJobService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Register the app's recurring jobs and start the scheduler. Call once on
+ * startup in every app instance; the shared schedule keeps runs unique.
+ */
+async function startScheduledJobs() {
+  await SchedulerService.register(
+    'group-buy-expiry',
+    5 * MINUTE,
+    async () => ({ closed: await GroupBuyingService.checkAndUpdateExpiredGroupBuys() })
+  );
+
+  await SchedulerService.register(
+    'group-buy-reminders',
+    15 * MINUTE,
+    async now => ({ reminded: await GroupBuyingService.sendExpiryReminders(now) })
+  );
+
+  await SchedulerService.register(
+    'group-buy-settlement',
+    10 * MINUTE,
+    async now => ({ settled: await GroupBuyingService.settleUnsettledGroupBuys(now) })
+  );
+
+  await SchedulerService.register(
+    'certification-expiry',
+    HOUR,
+    async now => ({
+      productsFlagged: await CertificationService.flagExpiredCertifications(now),
+      productsActivated: await CertificationService.activateStartedCertifications(now)
+    })
+  );
+
+  await SchedulerService.register(
+    'rescore-job-recovery',
+    10 * MINUTE,
+    async () => ({ resumed: await RescoreJobService.resumeInterruptedJobs() })
+  );
+
+  SchedulerService.start();
+  return SchedulerService;
+}
+
+module.exports = { startScheduledJobs };
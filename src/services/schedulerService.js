@@ -0,0 +1,194 @@
+const os = require('os');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const ScheduledJob = require('../models/ScheduledJob');
+
+/**
+ * Runs recurring jobs on a schedule persisted in MongoDB. Each run is
+ * claimed with a conditional update, so when several app instances poll
+ * the same schedule only one of them runs a job at a time. A crashed
+ * instance's lock expires and the job is picked up again, so handlers
+ * must be safe to repeat.
+ * Emits 'succeeded' and 'failed' events with the job name and result/error.
+ */
+class SchedulerService extends EventEmitter {
+  constructor() {
+    super();
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.handlers = new Map();
+    this.pollIntervalMs = 30 * 1000;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register a recurring job. The schedule document is created on first
+   * registration; an existing one keeps its nextRunAt across restarts.
+   * @param {String} name - Unique job name
+   * @param {Number} intervalMs - Time between runs
+   * @param {Function} handler - async (now) => result
+   * @param {Object} options - { lockTtlMs } how long a run may hold the lock
+   */
+  async register(name, intervalMs, handler, { lockTtlMs = 10 * 60 * 1000 } = {}) {
+    this.handlers.set(name, { handler, lockTtlMs });
+
+    await ScheduledJob.updateOne(
+      { name },
+      {
+        $set: { intervalMs },
+        $setOnInsert: { name, nextRunAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start(pollIntervalMs = this.pollIntervalMs) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run every registered job that is due and not locked elsewhere
+   * @return {Number} how many jobs this instance ran
+   */
+  async tick() {
+    if (this.ticking) return 0;
+    this.ticking = true;
+
+    try {
+      let ran = 0;
+
+      for (const name of this.handlers.keys()) {
+        const job = await this.claimJob(name);
+        if (!job) continue;
+
+        await this.runJob(job);
+        ran++;
+      }
+
+      return ran;
+    } catch (error) {
+      console.error('Error running scheduled jobs:', error);
+      return 0;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Atomically take the lock on a due job
+   */
+  async claimJob(name, { force = false } = {}) {
+    const now = new Date();
+    const { lockTtlMs } = this.handlers.get(name);
+
+    const query = {
+      name,
+      enabled: true,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    };
+    if (!force) query.nextRunAt = { $lte: now };
+
+    return ScheduledJob.findOneAndUpdate(
+      query,
+      {
+        $set: {
+          lockedBy: this.instanceId,
+          lockedUntil: new Date(now.getTime() + lockTtlMs),
+          lastStartedAt: now
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Run a claimed job and release its lock. The next run is scheduled from
+   * when this one started so runs don't drift.
+   */
+  async runJob(job) {
+    const { handler } = this.handlers.get(job.name);
+    const startedAt = job.lastStartedAt;
+    const update = {
+      lockedBy: null,
+      lockedUntil: null,
+      nextRunAt: new Date(startedAt.getTime() + job.intervalMs)
+    };
+
+    try {
+      const result = await handler(startedAt);
+
+      update.lastStatus = 'succeeded';
+      update.lastError = null;
+      update.lastResult = result === undefined ? null : result;
+      this.emit('succeeded', job.name, result);
+    } catch (error) {
+      console.error(`Scheduled job ${job.name} failed:`, error);
+      update.lastStatus = 'failed';
+      update.lastError = error.message;
+      this.emit('failed', job.name, error);
+    }
+
+    update.lastFinishedAt = new Date();
+
+    // Only release the lock if it is still ours
+    await ScheduledJob.updateOne(
+      { _id: job._id, lockedBy: this.instanceId },
+      { $set: update, $inc: { runCount: 1 } }
+    );
+
+    return update;
+  }
+
+  /**
+   * Run a job immediately, unless another instance is running it
+   */
+  async runNow(name) {
+    if (!this.handlers.has(name)) {
+      throw new Error(`Scheduled job "${name}" not found`);
+    }
+
+    const job = await this.claimJob(name, { force: true });
+
+    if (!job) {
+      throw new Error(`Scheduled job "${name}" is already running or disabled`);
+    }
+
+    return this.runJob(job);
+  }
+
+  async listJobs() {
+    return ScheduledJob.find({}).sort({ name: 1 });
+  }
+
+  /**
+   * Pause or resume a job on every instance
+   */
+  async setEnabled(name, enabled) {
+    const job = await ScheduledJob.findOneAndUpdate(
+      { name },
+      { $set: { enabled } },
+      { new: true }
+    );
+
+    if (!job) {
+      throw new Error(`Scheduled job "${name}" not found`);
+    }
+
+    return job;
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const ScoringRuleset = require('../models/ScoringRuleset');
+const DEFAULT_RULES = require('../utils/defaultScoringRules');
+
+const EDITABLE_FIELDS = [
+  'description', 'weights', 'materialScores', 'packagingScores',
+  'productionScores', 'certScores', 'categoryBaselines'
+];
+
+class ScoringRulesetService {
+  constructor() {
+    // Cache of plain rules objects keyed by "name@version". Only active and
+    // archived versions are cached; drafts can still change.
+    this.cache = new Map();
+  }
+
+  /**
+   * Get the rules for a named ruleset version, ready to pass to
+   * SustainabilityScoring. Without a version the active one is used.
+   * Drafts can still change, so they are refused unless `allowDraft` is set
+   * for a caller that doesn't keep the result.
+   * @param {String} name - Ruleset name
+   * @param {Number} version - Ruleset version (optional)
+   * @param {Object} options - { allowDraft }
+   * @return {Object} plain rules object
+   */
+  async getRules(name = 'default', version = null, { allowDraft = false } = {}) {
+    if (version) {
+      const key = `${name}@${version}`;
+      if (this.cache.has(key)) return this.cache.get(key);
+
+      const ruleset = await ScoringRuleset.findOne({ name, version });
+      if (!ruleset) {
+        throw new Error(`Scoring ruleset ${key} not found`);
+      }
+
+      if (ruleset.status === 'draft' && !allowDraft) {
+        throw new Error(`Scoring ruleset ${key} is a draft; activate it before scoring with it`);
+      }
+
+      const rules = ruleset.toRules();
+      if (ruleset.status !== 'draft') this.cache.set(key, rules);
+      return rules;
+    }
+
+    const active = await this.getActiveRuleset(name);
+    return this.getRules(name, active.version);
+  }
+
+  /**
+   * Get the active version of a ruleset. The built-in rules are stored as
+   * version 1 of 'default' the first time they are needed.
+   */
+  async getActiveRuleset(name = 'default') {
+    const active = await ScoringRuleset.findOne({ name, status: 'active' });
+    if (active) return active;
+
+    if (name === 'default' && !(await ScoringRuleset.exists({ name }))) {
+      return this.seedDefaultRuleset();
+    }
+
+    throw new Error(`No active version of scoring ruleset "${name}"`);
+  }
+
+  /**
+   * Store the built-in rules as the first active 'default' version
+   */
+  async seedDefaultRuleset() {
+    try {
+      return await ScoringRuleset.create({
+        ...this.toDocumentFields(DEFAULT_RULES),
+        name: 'default',
+        version: 1,
+        status: 'active',
+        description: 'Built-in scoring rules',
+        activatedAt: new Date()
+      });
+    } catch (error) {
+      // Another request seeded it first
+      if (error.code === 11000) {
+        return ScoringRuleset.findOne({ name: 'default', version: 1 });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List ruleset versions, newest first
+   */
+  async listRulesets(name = null) {
+    const query = name ? { name } : {};
+    return ScoringRuleset.find(query).sort({ name: 1, version: -1 });
+  }
+
+  async getRuleset(id) {
+    return ScoringRuleset.findById(id);
+  }
+
+  /**
+   * Create a new draft version. Fields not supplied are copied from
+   * `basedOnVersion`, or from the active version if there is one.
+   */
+  async createRuleset(data, userId) {
+    const name = data.name || 'default';
+
+    const latest = await ScoringRuleset.findOne({ name }).sort({ version: -1 });
+    const base = data.basedOnVersion
+      ? await ScoringRuleset.findOne({ name, version: data.basedOnVersion })
+      : await ScoringRuleset.findOne({ name, status: 'active' });
+
+    if (data.basedOnVersion && !base) {
+      throw new Error(`Scoring ruleset ${name}@${data.basedOnVersion} not found`);
+    }
+
+    const fields = base
+      ? this.pickEditable(base.toObject())
+      : this.toDocumentFields(DEFAULT_RULES);
+
+    const ruleset = new ScoringRuleset({
+      ...fields,
+      ...this.pickEditable(data),
+      name,
+      version: latest ? latest.version + 1 : 1,
+      status: 'draft',
+      createdBy: userId
+    });
+
+    return ruleset.save();
+  }
+
+  /**
+   * Update a draft. Active and archived versions are immutable so that
+   * scores stamped with them stay reproducible.
+   */
+  async updateRuleset(id, data) {
+    const ruleset = await ScoringRuleset.findById(id);
+
+    if (!ruleset) {
+      throw new Error('Scoring ruleset not found');
+    }
+
+    if (ruleset.status !== 'draft') {
+      throw new Error('Only draft rulesets can be edited');
+    }
+
+    ruleset.set(this.pickEditable(data));
+    return ruleset.save();
+  }
+
+  /**
+   * Make a version the active one for its name. Activating an archived
+   * version is how a rollback is done.
+   */
+  async activateRuleset(id) {
+    const ruleset = await ScoringRuleset.findById(id);
+
+    if (!ruleset) {
+      throw new Error('Scoring ruleset not found');
+    }
+
+    if (ruleset.status === 'active') {
+      return ruleset;
+    }
+
+    // Re-run validation in case the document predates a rule change
+    await ruleset.validate();
+
+    // Archive the current version and activate this one together, so there
+    // is never zero or two active versions. The partial unique index on
+    // active versions rejects a concurrent activation that slips through.
+    const session = await mongoose.startSession();
+
+    try {
+      let activated;
+
+      await session.withTransaction(async () => {
+        await ScoringRuleset.updateMany(
+          { name: ruleset.name, status: 'active' },
+          { $set: { status: 'archived' } },
+          { session }
+        );
+
+        activated = await ScoringRuleset.findOneAndUpdate(
+          { _id: ruleset._id, status: { $ne: 'active' } },
+          { $set: { status: 'active', activatedAt: new Date(), updatedAt: new Date() } },
+          { new: true, session }
+        );
+      });
+
+      return activated || ScoringRuleset.findById(ruleset._id);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(`Conflict: another version of "${ruleset.name}" was activated at the same time`);
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Delete a draft version
+   */
+  async deleteRuleset(id) {
+    const ruleset = await ScoringRuleset.findById(id);
+
+    if (!ruleset) {
+      throw new Error('Scoring ruleset not found');
+    }
+
+    if (ruleset.status !== 'draft') {
+      throw new Error('Only draft rulesets can be deleted');
+    }
+
+    await ruleset.deleteOne();
+    return ruleset;
+  }
+
+  pickEditable(data) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+      if (data[key] !== undefined) fields[key] = data[key];
+      return fields;
+    }, {});
+  }
+
+  /**
+   * Convert a plain rules object into the ordered-array document shape
+   */
+  toDocumentFields(rules) {
+    const toEntries = (table, key, value) => Object.entries(table)
+      .map(([name, score]) => ({ [key]: name, [value]: score }));
+
+    return {
+      weights: { ...rules.weights },
+      materialScores: toEntries(rules.materialScores, 'keyword', 'score'),
+      packagingScores: toEntries(rules.packagingScores, 'keyword', 'score'),
+      productionScores: toEntries(rules.productionScores, 'keyword', 'score'),
+      certScores: toEntries(rules.certScores, 'keyword', 'score'),
+      categoryBaselines: toEntries(rules.categoryBaselines, 'category', 'footprint')
+    };
+  }
+}
+
+module.exports = new ScoringRulesetService();
\ No newline at end of file
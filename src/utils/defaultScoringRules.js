@@ -0,0 +1,79 @@
+/**
+ * Built-in scoring rules for Green-Commerce.
+ * Used to seed the 'default' ruleset and as a fallback when no ruleset
+ * has been stored yet. Keyword tables are ordered: materials and
+ * certifications use the first keyword that matches.
+ */
+module.exports = {
+  name: 'default',
+  version: 0,
+
+  // Weights for different factors
+  weights: {
+    materials: 0.3,
+    packaging: 0.2,
+    production: 0.2,
+    carbonFootprint: 0.2,
+    certification: 0.1
+  },
+
+  materialScores: {
+    'organic': 5,
+    'recycled': 4.5,
+    'biodegradable': 4,
+    'renewable': 4,
+    'sustainable': 3.5,
+    'natural': 3,
+    'synthetic-eco': 2.5,
+    'mixed': 2,
+    'synthetic': 1.5,
+    'plastic': 1
+  },
+
+  packagingScores: {
+    'plastic-free': 5,
+    'biodegradable': 4.5,
+    'compostable': 4.5,
+    'recycled': 4,
+    'minimal': 3.5,
+    'recyclable': 3,
+    'paper': 3,
+    'mixed': 2,
+    'plastic': 1
+  },
+
+  productionScores: {
+    'carbon-neutral': 5,
+    'solar-powered': 4.5,
+    'renewable-energy': 4.5,
+    'low-impact': 4,
+    'handmade': 3.5,
+    'local': 3.5,
+    'fair-trade': 3,
+    'standard': 2,
+    'conventional': 1.5
+  },
+
+  certScores: {
+    'cradle-to-cradle': 5,
+    'b-corp': 4.5,
+    'fairtrade': 4,
+    'organic': 4,
+    'rainforest-alliance': 4,
+    'energy-star': 3.5,
+    'fsc': 3.5,
+    'green-seal': 3.5,
+    'ecolabel': 3,
+    'iso': 2.5
+  },
+
+  // Conventional product footprints (kg CO2e) by category
+  categoryBaselines: {
+    'clothing': 20,
+    'electronics': 100,
+    'food': 15,
+    'beauty': 25,
+    'home': 40,
+    'default': 30
+  }
+};
\ No newline at end of file
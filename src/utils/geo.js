@@ -0,0 +1,70 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+/**
+ * Geographic helpers for delivery areas and shipment consolidation.
+ * Coordinates are GeoJSON order: [longitude, latitude].
+ */
+class Geo {
+  /**
+   * Great-circle distance in km (haversine)
+   */
+  distanceKm([lng1, lat1], [lng2, lat2]) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+
+  isValidCoordinates(coordinates) {
+    return Array.isArray(coordinates) &&
+      coordinates.length === 2 &&
+      coordinates[0] >= -180 && coordinates[0] <= 180 &&
+      coordinates[1] >= -90 && coordinates[1] <= 90;
+  }
+
+  /**
+   * Delivery region for a postcode: the country plus the postcode's outward
+   * part (before the space, e.g. "SW1A 1AA" -> "GB:SW1A") or its first three
+   * characters when it has no space (e.g. "10115" -> "DE:101")
+   */
+  regionKey(postcode, country = '') {
+    const normalized = (postcode || '').trim().toUpperCase();
+    if (!normalized) return null;
+
+    const prefix = normalized.includes(' ')
+      ? normalized.split(/\s+/)[0]
+      : normalized.slice(0, 3);
+
+    return `${(country || 'XX').trim().toUpperCase()}:${prefix}`;
+  }
+
+  /**
+   * Greedy clustering: each point joins the first cluster whose seed is
+   * within radiusKm, otherwise it seeds a new cluster
+   * @param {Array} points - [{ coordinates, ... }]
+   * @return {Array} [{ center, members }]
+   */
+  clusterByDistance(points, radiusKm) {
+    const clusters = [];
+
+    points.forEach(point => {
+      const cluster = clusters.find(
+        candidate => this.distanceKm(candidate.center, point.coordinates) <= radiusKm
+      );
+
+      if (cluster) {
+        cluster.members.push(point);
+      } else {
+        clusters.push({ center: point.coordinates, members: [point] });
+      }
+    });
+
+    return clusters;
+  }
+}
+
+module.exports = new Geo();
@@ -0,0 +1,164 @@
+const EmissionFactorService = require('../services/emissionFactorService');
+
+/**
+ * Lifecycle Carbon Calculator for Green-Commerce
+ * Estimates a product's cradle-to-gate-plus-delivery footprint (kg CO2e)
+ * from its bill of materials, manufacturing energy and transport legs,
+ * using factors from the EmissionFactorService.
+ */
+class LifecycleCarbonCalculator {
+  /**
+   * Calculate a product footprint broken down by lifecycle stage
+   * @param {Object} lifecycle - { billOfMaterials, manufacturing, transport }
+   *   billOfMaterials: [{ material, massKg }]
+   *   manufacturing: { energyKwh, region }
+   *   transport: [{ mode, distanceKm, massKg }] (massKg defaults to product mass)
+   * @return {Object} { total, productMassKg, stages: { materials, manufacturing, transport } }
+   */
+  calculate(lifecycle = {}) {
+    const billOfMaterials = lifecycle.billOfMaterials || [];
+    const transportLegs = lifecycle.transport || [];
+
+    if (billOfMaterials.length === 0) {
+      throw new Error('Bill of materials is required');
+    }
+
+    const materials = this.calculateMaterials(billOfMaterials);
+    const manufacturing = this.calculateManufacturing(lifecycle.manufacturing);
+    const transport = this.calculateTransport(transportLegs, materials.massKg);
+
+    const total = materials.total + manufacturing.total + transport.total;
+
+    return {
+      total: +total.toFixed(3),
+      productMassKg: materials.massKg,
+      stages: {
+        materials: { total: materials.total, lines: materials.lines },
+        manufacturing,
+        transport
+      }
+    };
+  }
+
+  /**
+   * Materials stage: mass of each material times its production factor
+   */
+  calculateMaterials(billOfMaterials) {
+    const unknown = [];
+    let massKg = 0;
+
+    const lines = billOfMaterials.map(line => {
+      const lineMass = Number(line.massKg);
+      if (!(lineMass > 0)) {
+        throw new Error(`Invalid mass for material "${line.material}"`);
+      }
+
+      massKg += lineMass;
+      const factor = this.findMaterialFactor(line.material);
+
+      if (!factor) {
+        unknown.push(line.material);
+        return null;
+      }
+
+      return {
+        material: line.material,
+        activity: factor.activity,
+        massKg: lineMass,
+        factor: factor.value,
+        emissions: +(lineMass * factor.value).toFixed(3)
+      };
+    });
+
+    if (unknown.length > 0) {
+      throw new Error(`No emission factor for material(s): ${unknown.join(', ')}`);
+    }
+
+    return {
+      massKg: +massKg.toFixed(3),
+      total: +lines.reduce((sum, line) => sum + line.emissions, 0).toFixed(3),
+      lines
+    };
+  }
+
+  /**
+   * Manufacturing stage: energy used times the regional grid factor
+   */
+  calculateManufacturing(manufacturing) {
+    if (!manufacturing || !manufacturing.energyKwh) {
+      return { total: 0, energyKwh: 0, region: null, factor: null };
+    }
+
+    const energyKwh = Number(manufacturing.energyKwh);
+    if (!(energyKwh >= 0)) {
+      throw new Error('Invalid manufacturing energy');
+    }
+
+    const region = (manufacturing.region || 'GLOBAL').toUpperCase();
+    const factor = EmissionFactorService.getFactor('electricity:grid', 'kWh', { region });
+    if (!factor) {
+      throw new Error(`No grid electricity factor for region: ${region}`);
+    }
+
+    return {
+      total: +(energyKwh * factor.value).toFixed(3),
+      energyKwh,
+      region: factor.region,
+      factor: factor.value
+    };
+  }
+
+  /**
+   * Transport stage: tonne-km of each leg times the mode's factor
+   */
+  calculateTransport(legs, productMassKg) {
+    const lines = legs.map(leg => {
+      const distanceKm = Number(leg.distanceKm);
+      if (!(distanceKm >= 0)) {
+        throw new Error(`Invalid distance for ${leg.mode} transport leg`);
+      }
+
+      const mode = (leg.mode || '').toLowerCase();
+      const factor = EmissionFactorService.getFactor(`transport:${mode}`, 'tonne-km');
+      if (!factor) {
+        throw new Error(`No emission factor for transport mode: ${leg.mode}`);
+      }
+
+      const massKg = leg.massKg ? Number(leg.massKg) : productMassKg;
+      const tonneKm = (massKg / 1000) * distanceKm;
+
+      return {
+        mode,
+        distanceKm,
+        massKg,
+        factor: factor.value,
+        emissions: +(tonneKm * factor.value).toFixed(3)
+      };
+    });
+
+    return {
+      total: +lines.reduce((sum, line) => sum + line.emissions, 0).toFixed(3),
+      legs: lines
+    };
+  }
+
+  /**
+   * Match a free-text material to the most specific known material,
+   * e.g. "Organic Cotton" -> material:organic-cotton rather than material:cotton
+   */
+  findMaterialFactor(material) {
+    const normalized = (material || '').toLowerCase().trim().replace(/\s+/g, '-');
+    let best = null;
+
+    EmissionFactorService.listActivities('material:', 'kg').forEach(activity => {
+      const name = activity.slice('material:'.length);
+      if (normalized.includes(name) && (!best || name.length > best.length)) {
+        best = name;
+      }
+    });
+
+    return best ? EmissionFactorService.getFactor(`material:${best}`, 'kg') : null;
+  }
+}
+
+module.exports = new LifecycleCarbonCalculator();
\ No newline at end of file
@@ -0,0 +1,14 @@
+const EventEmitter = require('events');
+
+/**
+ * Change notifications from models, so services holding in-memory copies
+ * (e.g. the recommendation engine) can refresh without the models
+ * depending on them.
+ *
+ * Events:
+ *   'product:changed' (productIds) - products saved, updated or deleted
+ *   'user:changed' (userIds)       - users saved or deleted
+ */
+class ModelEvents extends EventEmitter {}
+
+module.exports = new ModelEvents();
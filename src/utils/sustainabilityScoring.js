@@ -1,29 +1,28 @@
+const DEFAULT_RULES = require('./defaultScoringRules');
+const EmissionFactorService = require('../services/emissionFactorService');
+
 /**
  * Sustainability Scoring System for Green-Commerce
- * Calculates eco-score based on various product attributes
+ * Calculates eco-score based on various product attributes.
+ * Every scoring method takes an optional ruleset (see defaultScoringRules);
+ * stored rulesets are loaded by the ScoringRulesetService.
  */
 class SustainabilityScoring {
   /**
    * Calculate overall eco-score for a product (1-5 scale)
    * @param {Object} product - Product data
+   * @param {Object} rules - Scoring ruleset
    * @return {Number} score from 1-5
    */
-  calculateEcoScore(product) {
-    // Weights for different factors
-    const weights = {
-      materials: 0.3,
-      packaging: 0.2,
-      production: 0.2,
-      carbonFootprint: 0.2,
-      certification: 0.1
-    };
+  calculateEcoScore(product, rules = DEFAULT_RULES) {
+    const weights = rules.weights;
     
     // Calculate individual component scores
-    const materialScore = this.scoreMaterials(product.materials);
-    const packagingScore = this.scorePackaging(product.packaging);
-    const productionScore = this.scoreProduction(product.production);
+    const materialScore = this.scoreMaterials(product.materials, rules);
+    const packagingScore = this.scorePackaging(product.packaging, rules);
+    const productionScore = this.scoreProduction(product.production, rules);
     const carbonScore = this.scoreCarbonFootprint(product.carbonFootprint);
-    const certScore = this.scoreCertifications(product.certifications);
+    const certScore = this.scoreCertifications(product.certifications, rules);
     
     // Calculate weighted average
     const weightedScore = 
@@ -40,156 +39,219 @@ class SustainabilityScoring {
   /**
    * Score product materials (1-5 scale)
    */
-  scoreMaterials(materials) {
-    if (!materials) return 1;
-    
-    // Define material types and their eco-friendly scores
-    const materialScores = {
-      'organic': 5,
-      'recycled': 4.5,
-      'biodegradable': 4,
-      'renewable': 4,
-      'sustainable': 3.5,
-      'natural': 3,
-      'synthetic-eco': 2.5,
-      'mixed': 2,
-      'synthetic': 1.5,
-      'plastic': 1
-    };
-    
-    // Calculate average score of all materials
-    let totalScore = 0;
-    let materialCount = 0;
-    
-    materials.forEach(material => {
-      for (const [type, score] of Object.entries(materialScores)) {
-        if (material.toLowerCase().includes(type)) {
-          totalScore += score;
-          materialCount++;
-          break;
-        }
-      }
-    });
-    
-    return materialCount > 0 ? totalScore / materialCount : 1;
+  scoreMaterials(materials, rules = DEFAULT_RULES) {
+    return this.explainMaterials(materials, rules).score;
   }
   
   /**
    * Score product packaging (1-5 scale)
    */
-  scorePackaging(packaging) {
-    if (!packaging) return 1;
-    
-    const packagingScores = {
-      'plastic-free': 5,
-      'biodegradable': 4.5,
-      'compostable': 4.5,
-      'recycled': 4,
-      'minimal': 3.5,
-      'recyclable': 3,
-      'paper': 3,
-      'mixed': 2,
-      'plastic': 1
-    };
-    
-    // Find the best matching packaging description
-    let bestScore = 1;
+  scorePackaging(packaging, rules = DEFAULT_RULES) {
+    return this.explainBestMatch(packaging, rules.packagingScores).score;
+  }
+  
+  /**
+   * Score production methods (1-5 scale)
+   */
+  scoreProduction(production, rules = DEFAULT_RULES) {
+    return this.explainBestMatch(production, rules.productionScores).score;
+  }
+  
+  /**
+   * Score carbon footprint (1-5 scale)
+   * Lower carbon footprint = higher score
+   */
+  scoreCarbonFootprint(carbonFootprint) {
+    return this.explainCarbonFootprint(carbonFootprint).score;
+  }
+  
+  /**
+   * Score certifications (1-5 scale)
+   */
+  scoreCertifications(certifications, rules = DEFAULT_RULES) {
+    return this.explainCertifications(certifications, rules).score;
+  }
+  
+  /**
+   * Find the keyword from a score table that applies to an input string.
+   * 'first' takes the first listed keyword found, 'best' the highest scoring.
+   * @return {Object|null} { keyword, score }
+   */
+  matchKeyword(input, table, mode = 'first') {
+    const inputLower = input.toLowerCase();
+    let match = null;
     
-    for (const [type, score] of Object.entries(packagingScores)) {
-      if (packaging.toLowerCase().includes(type)) {
-        bestScore = Math.max(bestScore, score);
-      }
+    for (const [keyword, score] of Object.entries(table)) {
+      if (!inputLower.includes(keyword)) continue;
+      if (mode === 'first') return { keyword, score };
+      if (!match || score > match.score) match = { keyword, score };
     }
     
-    return bestScore;
+    return match;
   }
   
   /**
-   * Score production methods (1-5 scale)
+   * Materials score is the average over materials that match a keyword
    */
-  scoreProduction(production) {
-    if (!production) return 1;
-    
-    const productionScores = {
-      'carbon-neutral': 5,
-      'solar-powered': 4.5,
-      'renewable-energy': 4.5,
-      'low-impact': 4,
-      'handmade': 3.5,
-      'local': 3.5,
-      'fair-trade': 3,
-      'standard': 2,
-      'conventional': 1.5
-    };
+  explainMaterials(materials, rules = DEFAULT_RULES) {
+    const matches = [];
+    const unmatched = [];
     
-    let bestScore = 1;
-    
-    for (const [type, score] of Object.entries(productionScores)) {
-      if (production.toLowerCase().includes(type)) {
-        bestScore = Math.max(bestScore, score);
+    (materials || []).forEach(material => {
+      const match = this.matchKeyword(material, rules.materialScores);
+      if (match) {
+        matches.push({ input: material, ...match });
+      } else {
+        unmatched.push(material);
       }
+    });
+    
+    const score = matches.length > 0
+      ? matches.reduce((sum, match) => sum + match.score, 0) / matches.length
+      : 1;
+    
+    return { score, matches, unmatched };
+  }
+  
+  /**
+   * Packaging and production take the best keyword found in their description
+   */
+  explainBestMatch(description, table) {
+    if (!description) {
+      return { score: 1, input: description, match: null, unmatched: [] };
     }
     
-    return bestScore;
+    const match = this.matchKeyword(description, table, 'best');
+    
+    return {
+      score: match ? Math.max(1, match.score) : 1,
+      input: description,
+      match,
+      unmatched: match ? [] : [description]
+    };
   }
   
   /**
-   * Score carbon footprint (1-5 scale)
-   * Lower carbon footprint = higher score
+   * Carbon footprint score comes from fixed kg CO2e bands
    */
-  scoreCarbonFootprint(carbonFootprint) {
-    if (!carbonFootprint || typeof carbonFootprint !== 'number') return 1;
+  explainCarbonFootprint(carbonFootprint) {
+    if (!carbonFootprint || typeof carbonFootprint !== 'number') {
+      return { score: 1, input: carbonFootprint || null, band: 'unknown' };
+    }
     
     // Score based on carbon footprint in kg CO2e
-    if (carbonFootprint <= 1) return 5;
-    if (carbonFootprint <= 5) return 4.5;
-    if (carbonFootprint <= 10) return 4;
-    if (carbonFootprint <= 25) return 3.5;
-    if (carbonFootprint <= 50) return 3;
-    if (carbonFootprint <= 100) return 2.5;
-    if (carbonFootprint <= 250) return 2;
-    if (carbonFootprint <= 500) return 1.5;
-    return 1;
+    const bands = [
+      [1, 5], [5, 4.5], [10, 4], [25, 3.5], [50, 3],
+      [100, 2.5], [250, 2], [500, 1.5]
+    ];
+    
+    for (const [maxFootprint, score] of bands) {
+      if (carbonFootprint <= maxFootprint) {
+        return { score, input: carbonFootprint, band: `<= ${maxFootprint} kg CO2e` };
+      }
+    }
+    
+    return { score: 1, input: carbonFootprint, band: '> 500 kg CO2e' };
   }
   
   /**
-   * Score certifications (1-5 scale)
+   * Certifications score is the average matched score plus a bonus of 0.2
+   * per matched certification (capped at 1), up to 5. Inputs are verified
+   * scheme keywords, so they must equal a certScores keyword exactly.
    */
-  scoreCertifications(certifications) {
-    if (!certifications || certifications.length === 0) return 1;
-    
-    const certScores = {
-      'cradle-to-cradle': 5,
-      'b-corp': 4.5,
-      'fairtrade': 4, 
-      'organic': 4,
-      'rainforest-alliance': 4,
-      'energy-star': 3.5,
-      'fsc': 3.5,
-      'green-seal': 3.5,
-      'ecolabel': 3,
-      'iso': 2.5
-    };
+  explainCertifications(certifications, rules = DEFAULT_RULES) {
+    const matches = [];
+    const unmatched = [];
     
-    let totalScore = 0;
-    let matchedCerts = 0;
+    if (!certifications || certifications.length === 0) {
+      return { score: 1, baseScore: 1, bonus: 0, matches, unmatched };
+    }
     
     certifications.forEach(cert => {
-      const certLower = cert.toLowerCase();
-      for (const [type, score] of Object.entries(certScores)) {
-        if (certLower.includes(type)) {
-          totalScore += score;
-          matchedCerts++;
-          break;
-        }
+      const keyword = cert.toLowerCase();
+      if (Object.prototype.hasOwnProperty.call(rules.certScores, keyword)) {
+        matches.push({ input: cert, keyword, score: rules.certScores[keyword] });
+      } else {
+        unmatched.push(cert);
       }
     });
     
     // Bonus for multiple certifications
-    const baseScore = matchedCerts > 0 ? totalScore / matchedCerts : 1;
-    const certBonus = Math.min(certifications.length * 0.2, 1);
+    const baseScore = matches.length > 0
+      ? matches.reduce((sum, match) => sum + match.score, 0) / matches.length
+      : 1;
+    const bonus = matches.length > 0 ? Math.min(matches.length * 0.2, 1) : 0;
     
-    return Math.min(baseScore + certBonus, 5);
+    return {
+      score: Math.min(baseScore + bonus, 5),
+      baseScore,
+      bonus,
+      matches,
+      unmatched
+    };
+  }
+  
+  /**
+   * Break an eco-score down into its weighted components, the keywords that
+   * matched each input, the inputs nothing matched, and what would raise it
+   * @param {Object} product - Product data (see getScoringInput)
+   * @param {Object} rules - Scoring ruleset
+   * @return {Object} explanation
+   */
+  explainEcoScore(product, rules = DEFAULT_RULES) {
+    const weights = rules.weights;
+    
+    const materials = this.explainMaterials(product.materials, rules);
+    const packaging = this.explainBestMatch(product.packaging, rules.packagingScores);
+    const production = this.explainBestMatch(product.production, rules.productionScores);
+    const carbonFootprint = this.explainCarbonFootprint(product.carbonFootprint);
+    const certification = this.explainCertifications(product.certifications, rules);
+    
+    const components = { materials, packaging, production, carbonFootprint, certification };
+    
+    let rawScore = 0;
+    Object.entries(components).forEach(([name, component]) => {
+      component.weight = weights[name];
+      component.weightedScore = +(component.score * weights[name]).toFixed(3);
+      rawScore += component.score * weights[name];
+    });
+    
+    const ecoScore = Math.round(rawScore * 2) / 2;
+    
+    // Biggest possible gains first: raising a component to 5 adds (5 - score) * weight
+    const improvements = Object.entries(components)
+      .map(([name, component]) => ({
+        component: name,
+        currentScore: +component.score.toFixed(2),
+        weight: component.weight,
+        potentialGain: +((5 - component.score) * component.weight).toFixed(3)
+      }))
+      .filter(improvement => improvement.potentialGain > 0)
+      .sort((a, b) => b.potentialGain - a.potentialGain);
+    
+    // Scores round to the nearest 0.5, so the next step is reached 0.25 below it
+    const nextStep = Math.min(ecoScore + 0.5, 5);
+    
+    return {
+      ecoScore,
+      ecoLabel: this.getEcoLabel(ecoScore),
+      rawScore: +rawScore.toFixed(3),
+      ruleset: { name: rules.name, version: rules.version },
+      components,
+      unmatchedInputs: {
+        materials: materials.unmatched,
+        packaging: packaging.unmatched,
+        production: production.unmatched,
+        certifications: certification.unmatched
+      },
+      certificationBonus: certification.bonus,
+      nextScore: ecoScore < 5 ? {
+        ecoScore: nextStep,
+        ecoLabel: this.getEcoLabel(nextStep),
+        rawScoreNeeded: +Math.max(0, nextStep - 0.25 - rawScore).toFixed(3)
+      } : null,
+      improvements
+    };
   }
   
   /**
@@ -208,25 +270,63 @@ class SustainabilityScoring {
   /**
    * Calculate carbon savings compared to conventional product
    */
-  calculateCarbonSavings(product, conventionalFootprint = null) {
+  calculateCarbonSavings(product, conventionalFootprint = null, rules = DEFAULT_RULES) {
     if (!product.carbonFootprint) return 0;
     
-    // If conventional product carbon footprint not provided, estimate based on category
+    // If conventional product carbon footprint not provided, estimate based on category.
+    // The ruleset's table wins so that scores pinned to a ruleset version stay
+    // reproducible; an imported baseline factor only fills in categories the
+    // ruleset doesn't list.
     if (!conventionalFootprint) {
-      const categoryBaselines = {
-        'clothing': 20,
-        'electronics': 100,
-        'food': 15,
-        'beauty': 25,
-        'home': 40,
-        'default': 30
-      };
+      const categoryBaselines = rules.categoryBaselines;
       
-      conventionalFootprint = categoryBaselines[product.category] || categoryBaselines.default;
+      conventionalFootprint =
+        categoryBaselines[product.category] ||
+        EmissionFactorService.getValue(`baseline:${product.category}`, 'item') ||
+        categoryBaselines.default;
     }
     
     return Math.max(0, conventionalFootprint - product.carbonFootprint);
   }
+  
+  /**
+   * Map a Product document to the flat shape the scoring methods expect
+   */
+  getScoringInput(product) {
+    return {
+      materials: product.materials,
+      packaging: product.packaging,
+      production: product.production,
+      certifications: product.verifiedCertifications || [],
+      category: product.category,
+      carbonFootprint: product.sustainability
+        ? product.sustainability.carbonFootprint
+        : product.carbonFootprint
+    };
+  }
+  
+  /**
+   * Score a product against a ruleset
+   * @param {Object} product - Product document
+   * @param {Object} rules - Scoring ruleset
+   * @return {Object} sustainability fields to store on the product
+   */
+  scoreProduct(product, rules = DEFAULT_RULES) {
+    const input = this.getScoringInput(product);
+    const ecoScore = this.calculateEcoScore(input, rules);
+    
+    return {
+      ecoScore,
+      ecoLabel: this.getEcoLabel(ecoScore),
+      materialScore: this.scoreMaterials(input.materials, rules),
+      packagingScore: this.scorePackaging(input.packaging, rules),
+      productionScore: this.scoreProduction(input.production, rules),
+      carbonFootprint: input.carbonFootprint,
+      rulesetName: rules.name,
+      rulesetVersion: rules.version,
+      scoredAt: new Date()
+    };
+  }
 }
 
 module.exports = new SustainabilityScoring();
\ No newline at end of file
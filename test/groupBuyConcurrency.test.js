@@ -0,0 +1,185 @@
+const db = require('./helpers/db');
+const GroupBuy = require('../src/models/GroupBuy');
+const Product = require('../src/models/Product');
+const User = require('../src/models/User');
+const Order = require('../src/models/Order');
+const Notification = require('../src/models/Notification');
+const FakePaymentAuthorization = require('../src/models/FakePaymentAuthorization');
+const GroupBuyingService = require('../src/services/groupBuyingService');
+const CheckoutService = require('../src/services/checkoutService');
+
+const createProduct = groupBuying => Product.create({
+  name: 'Bamboo toothbrush',
+  description: 'Compostable handle, plant-based bristles',
+  price: 10,
+  category: 'personal-care',
+  stock: 100,
+  sustainability: { ecoScore: 4, carbonFootprint: 2, materialScore: 4 },
+  groupBuying: { enabled: true, discountPercent: 10, ...groupBuying }
+});
+
+let userCount = 0;
+const createUsers = count => User.create(Array.from({ length: count }, () => {
+  userCount += 1;
+  return {
+    name: `Buyer ${userCount}`,
+    email: `buyer${userCount}@example.com`,
+    password: 'correct-horse',
+    notificationPreferences: { email: false }
+  };
+}));
+
+const join = (groupBuy, user) => GroupBuyingService.joinGroupBuy(groupBuy._id, user._id, {
+  paymentMethod: 'pm_card_visa'
+});
+
+describe('group buy concurrency', () => {
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    // Losing a race is logged by the services; the assertions cover it
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('parallel joins never fill a group past its capacity', async () => {
+    const product = await createProduct({ threshold: 2, maxCapacity: 4 });
+    const [initiator, ...joiners] = await createUsers(9);
+
+    const groupBuy = await GroupBuyingService.createGroupBuy(product._id, initiator._id, {
+      paymentMethod: 'pm_card_visa'
+    });
+
+    const results = await Promise.allSettled(joiners.map(user => join(groupBuy, user)));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(3);
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => expect(result.reason.message).toMatch(/full|Cannot join a completed/));
+
+    const final = await GroupBuy.findById(groupBuy._id);
+    const userIds = final.participants.map(participant => participant.userId.toString());
+    expect(userIds).toHaveLength(4);
+    expect(new Set(userIds).size).toBe(4);
+
+    // Only the four participants' units left stock, and none stay reserved
+    const stocked = await Product.findById(product._id);
+    expect(stocked.stock).toBe(96);
+    expect(stocked.groupBuying.reservedStock).toBe(0);
+    expect(stocked.groupBuying.currentParticipants).toBe(0);
+
+    // Every losing joiner's hold was voided
+    expect(await FakePaymentAuthorization.countDocuments({ status: 'authorized' })).toBe(0);
+    expect(await FakePaymentAuthorization.countDocuments({ status: 'captured' })).toBe(4);
+  });
+
+  test('parallel creates for the same product and region share one group', async () => {
+    const product = await createProduct({ threshold: 10, maxCapacity: 10 });
+    const users = await createUsers(5);
+
+    const results = await Promise.all(users.map(user => GroupBuyingService.createGroupBuy(
+      product._id,
+      user._id,
+      { paymentMethod: 'pm_card_visa' }
+    )));
+
+    const groupIds = results.map(result => (result.groupBuy || result)._id.toString());
+    expect(new Set(groupIds).size).toBe(1);
+
+    const active = await GroupBuy.find({ productId: product._id, status: 'active' });
+    expect(active).toHaveLength(1);
+    expect(active[0].participants).toHaveLength(5);
+
+    const stocked = await Product.findById(product._id);
+    expect(stocked.stock).toBe(95);
+    expect(stocked.groupBuying.reservedStock).toBe(5);
+    expect(stocked.groupBuying.currentParticipants).toBe(5);
+
+    // Creators who lost the race had their own hold voided before joining
+    expect(await FakePaymentAuthorization.countDocuments({ status: 'authorized' })).toBe(5);
+  });
+
+  test('a group filled in parallel completes, orders and notifies exactly once', async () => {
+    const product = await createProduct({ threshold: 2, maxCapacity: 3 });
+    const [initiator, ...joiners] = await createUsers(5);
+
+    const groupBuy = await GroupBuyingService.createGroupBuy(product._id, initiator._id, {
+      paymentMethod: 'pm_card_visa'
+    });
+
+    await Promise.allSettled(joiners.map(user => join(groupBuy, user)));
+
+    const completed = await GroupBuy.findById(groupBuy._id);
+    expect(completed.status).toBe('completed');
+    expect(completed.settledAt).toBeInstanceOf(Date);
+    completed.participants.forEach(participant => {
+      expect(participant.reservationStatus).toBe('consumed');
+      expect(participant.orderStatus).toBe('placed');
+      expect(participant.orderId).toBeDefined();
+    });
+
+    const orders = await Order.find({ groupBuy: groupBuy._id });
+    expect(orders).toHaveLength(3);
+    expect(new Set(orders.map(order => order.user.toString())).size).toBe(3);
+
+    // Notifications are sent without waiting, so let them land
+    const participantIds = completed.participants.map(participant => participant.userId.toString()).sort();
+    await db.eventually(async () => {
+      const successes = await Notification.find({ type: 'group_buy_success' });
+      expect(successes.map(notification => notification.userId.toString()).sort()).toEqual(participantIds);
+    });
+
+    const duplicates = await Notification.aggregate([
+      { $group: { _id: { userId: '$userId', type: '$type' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+    expect(duplicates).toEqual([]);
+
+    // Completing or settling again does nothing
+    expect(await GroupBuyingService.completeGroupBuy(groupBuy._id)).toBeNull();
+    const later = new Date(Date.now() + 60 * 60 * 1000);
+    expect(await GroupBuyingService.settleUnsettledGroupBuys(later)).toBe(0);
+    expect(await Order.countDocuments({ groupBuy: groupBuy._id })).toBe(3);
+  });
+
+  test('an order that fails to place is placed by the settlement job', async () => {
+    const product = await createProduct({ threshold: 2, maxCapacity: 2 });
+    const [initiator, joiner] = await createUsers(2);
+
+    const placeOrder = jest.spyOn(CheckoutService, 'placeGroupBuyOrder')
+      .mockRejectedValueOnce(new Error('Database unavailable'));
+
+    const groupBuy = await GroupBuyingService.createGroupBuy(product._id, initiator._id, {
+      paymentMethod: 'pm_card_visa'
+    });
+    await join(groupBuy, joiner);
+
+    const interrupted = await GroupBuy.findById(groupBuy._id);
+    expect(interrupted.status).toBe('completed');
+    expect(interrupted.settledAt).toBeUndefined();
+    expect(interrupted.participants.map(participant => participant.orderStatus).sort())
+      .toEqual(['pending', 'placed']);
+    expect(await Order.countDocuments({ groupBuy: groupBuy._id })).toBe(1);
+
+    // Still within the grace period: left to the request completing it
+    expect(await GroupBuyingService.settleUnsettledGroupBuys(new Date())).toBe(0);
+
+    const later = new Date(Date.now() + 60 * 60 * 1000);
+    expect(await GroupBuyingService.settleUnsettledGroupBuys(later)).toBe(1);
+    expect(placeOrder).toHaveBeenCalledTimes(3);
+
+    const settled = await GroupBuy.findById(groupBuy._id);
+    expect(settled.settledAt).toBeInstanceOf(Date);
+    settled.participants.forEach(participant => expect(participant.orderStatus).toBe('placed'));
+    expect(await Order.countDocuments({ groupBuy: groupBuy._id })).toBe(2);
+
+    // Each participant was charged once
+    expect(await FakePaymentAuthorization.countDocuments({ status: 'captured' })).toBe(2);
+  });
+});
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// Checkout runs in transactions, which need a replica set. Set
+// MONGOMS_SYSTEM_BINARY to use an installed mongod instead of downloading one.
+let replSet = null;
+
+async function connect() {
+  try {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  } catch (error) {
+    throw new Error(
+      `Could not start an in-memory MongoDB (${error.message}). Without network access, ` +
+      'set MONGOMS_SYSTEM_BINARY to a local mongod or MONGOMS_DOWNLOAD_DIR to a directory ' +
+      'holding a downloaded one; see "Running tests" in the README.'
+    );
+  }
+  await mongoose.connect(replSet.getUri());
+
+  // The concurrency guarantees rest on the unique indexes, so wait for them
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+}
+
+async function clear() {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+async function disconnect() {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+}
+
+/**
+ * Poll until check() stops throwing, for effects of fire-and-forget work
+ * such as notifications
+ */
+async function eventually(check, { timeoutMs = 5000, intervalMs = 50 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    try {
+      return await check();
+    } catch (error) {
+      if (Date.now() > deadline) throw error;
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+}
+
+module.exports = { connect, clear, disconnect, eventually };